@@ -1,287 +1,621 @@
-import React, { useState, useCallback } from 'react';
-import { ChevronDown, ChevronRight, Copy, Trash2, Upload, Download } from 'lucide-react';
+import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { ChevronDown, ChevronRight, Copy, Trash2, Upload, Download, X, Plus, Shield, Bookmark, History, Link } from 'lucide-react';
+import { parseLogInWorker, redactLogsInWorker } from './parser/parseInWorker.js';
+import { buildCallTree } from './analysis/callTree.js';
+import CallTree from './components/CallTree.jsx';
+import FlameGraph from './components/FlameGraph.jsx';
+import { collectLimitUsage } from './analysis/limits.js';
+import LimitsPanel, { LimitBars } from './components/LimitsPanel.jsx';
+import { analyzeLogCoverage } from './analysis/logCoverage.js';
+import LogSummary from './components/LogSummary.jsx';
+import { collectErrors } from './analysis/errors.js';
+import ErrorsPanel from './components/ErrorsPanel.jsx';
+import LogDiff from './components/LogDiff.jsx';
+import { collectExecutionSteps } from './analysis/variables.js';
+import VariableWatch from './components/VariableWatch.jsx';
+import { collectAutomation } from './analysis/flows.js';
+import FlowView from './components/FlowView.jsx';
+import { analyzeSaveOrder } from './analysis/saveOrder.js';
+import SaveOrder from './components/SaveOrder.jsx';
+import { analyzeProfiling } from './analysis/profiling.js';
+import ProfilingView, { SortableTable } from './components/ProfilingView.jsx';
+import { collectCallouts } from './analysis/callouts.js';
+import CalloutInspector from './components/CalloutInspector.jsx';
+import PayloadView from './components/PayloadView.jsx';
+import { createRedactor, DEFAULT_REDACTION_SETTINGS } from './analysis/redaction.js';
+import RedactionPanel from './components/RedactionPanel.jsx';
+import { serializeSession, deserializeSession, SESSION_FILE_EXTENSION } from './utils/session.js';
+import { AUTOSAVE_ID, saveSession, loadSession } from './utils/sessionStore.js';
+import SessionPanel from './components/SessionPanel.jsx';
+import { analyzeQueries } from './analysis/queries.js';
+import QueryAnalysis from './components/QueryAnalysis.jsx';
+import VirtualList from './components/VirtualList.jsx';
+import { toJson, toText, toHtmlReport } from './export/index.js';
+import { downloadFile } from './utils/download.js';
+import {
+    contentNodeId,
+    valueNodeId,
+    childNodeId,
+    fieldValueNodeId,
+    entryNodeId,
+    entryIdForNode,
+    collectEntryNodes,
+    visibleEntryNodes,
+    payloadBodyIds,
+    isRecordList
+} from './utils/nodeIds.js';
+import { EMPTY_FILTERS, filterEntries, collectFacets, createMatcher } from './analysis/filter.js';
+import FilterBar from './components/FilterBar.jsx';
+import Highlight from './components/Highlight.jsx';
+import { TypedValue, SObjectGrid, MapTable, SetTable } from './components/DataInspector.jsx';
+
+const LOG_FILE_PATTERN = /\.(log|txt)$/i;
+
+// Quiet period before the workspace is autosaved.
+const AUTOSAVE_DELAY = 1000;
+
+// Choices offered by "Expand to depth"; depth 1 opens just the entries.
+const EXPAND_DEPTHS = [1, 2, 3, 4, 5];
+
+// Shown in place of a log while its redacted copy is still being made.
+const NO_ENTRIES = [];
+
+const once = (compute) => {
+    let result = null;
+    let done = false;
+    return () => {
+        if (!done) {
+            result = compute();
+            done = true;
+        }
+        return result;
+    };
+};
+
+// Analyses that only one view shows run the first time that view renders,
+// and are kept until the entries change.
+const createViewAnalyses = (entries) => {
+    const callTree = once(() => buildCallTree(entries));
+    return {
+        callTree,
+        queries: once(() => analyzeQueries(callTree())),
+        execution: once(() => collectExecutionSteps(entries)),
+        automation: once(() => collectAutomation(entries)),
+        saveOrder: once(() => analyzeSaveOrder(callTree())),
+        profile: once(() => analyzeProfiling(entries, callTree())),
+        callouts: once(() => collectCallouts(callTree(), entries))
+    };
+};
+
+const createTab = (id, name, inputLog = '') => ({
+    id,
+    name,
+    inputLog,
+    parsedLogs: [],
+    expandedItems: new Set(),
+    // Nodes the current search opened, closed again when the search changes.
+    searchExpanded: new Set(),
+    bookmarks: new Set(),
+    parseProgress: null,
+    parseError: null
+});
 
 const SalesforceDebugFormatter = () => {
-    const [inputLog, setInputLog] = useState('');
-    const [parsedLogs, setParsedLogs] = useState([]);
-    const [expandedItems, setExpandedItems] = useState(new Set());
-
-    const parseLogEntry = (logLine) => {
-        // Parse standard Salesforce debug log format
-        const logPattern = /^(\d{2}:\d{2}:\d{2}\.\d{3})\s+\((\d+)\)\|([^|]+)\|(?:\[(\d+)\]\|)?(?:([^|]+)\|)?(.*)$/;
-        const match = logLine.match(logPattern);
-
-        if (!match) {
-            return {
-                type: 'unparsed',
-                content: logLine,
-                timestamp: null
-            };
-        }
+    const [tabs, setTabs] = useState(() => [createTab(0, 'Pasted log')]);
+    const [activeTabId, setActiveTabId] = useState(0);
+    const [view, setView] = useState('entries');
+    const [isDragging, setIsDragging] = useState(false);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [activeMatch, setActiveMatch] = useState(0);
+    const [focusedEntryId, setFocusedEntryId] = useState(null);
+    const [focusedNodeId, setFocusedNodeId] = useState(null);
+    const [pendingNodeId, setPendingNodeId] = useState(() => window.location.hash.substring(1) || null);
+    const [redaction, setRedaction] = useState({ enabled: false, ...DEFAULT_REDACTION_SETTINGS });
+    const [showRedaction, setShowRedaction] = useState(false);
+    const [redactionRun, setRedactionRun] = useState(null);
+    const [redactionError, setRedactionError] = useState(null);
+    const [showSessions, setShowSessions] = useState(false);
+    const [sessionError, setSessionError] = useState(null);
+    const listRef = useRef(null);
+    const pendingJumpRef = useRef(null);
+    const searchRef = useRef(null);
+    const keyHandlerRef = useRef(null);
+    const nextTabIdRef = useRef(1);
+    const parseJobsRef = useRef(new Map());
+    const redactionJobRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const sessionFileInputRef = useRef(null);
+    const restoredRef = useRef(false);
+
+    const activeTab = tabs.find(tab => tab.id === activeTabId) || tabs[0];
+    const { inputLog, parsedLogs: rawLogs, expandedItems, bookmarks, parseProgress, parseError } = activeTab;
+
+    // Everything below works on the masked entries while redaction is on, and
+    // on no entries until the worker has masked them.
+    const currentRun = redactionRun && redactionRun.settings === redaction ? redactionRun : null;
+    const redactedRun = useCallback((entries) => {
+        const index = currentRun ? currentRun.sources.indexOf(entries) : -1;
+        return index === -1 ? null : currentRun.logs[index];
+    }, [currentRun]);
+    const redactLogs = useCallback((entries) => {
+        if (!redaction.enabled || entries.length === 0) return entries;
+        const run = redactedRun(entries);
+        return run ? run.entries : NO_ENTRIES;
+    }, [redaction.enabled, redactedRun]);
+    const parsedLogs = redactLogs(rawLogs);
+    const redacting = parsedLogs === NO_ENTRIES;
+    const redactionPreview = redactedRun(rawLogs);
+
+    const analyses = useMemo(() => createViewAnalyses(parsedLogs), [parsedLogs]);
+    const limitSnapshots = useMemo(() => collectLimitUsage(parsedLogs), [parsedLogs]);
+    const coverage = useMemo(() => analyzeLogCoverage(parsedLogs), [parsedLogs]);
+    const errors = useMemo(() => collectErrors(parsedLogs), [parsedLogs]);
+    const facets = useMemo(() => collectFacets(parsedLogs), [parsedLogs]);
+    const filterResult = useMemo(() => filterEntries(parsedLogs, filters), [parsedLogs, filters]);
+    const matcher = useMemo(
+        () => createMatcher(filters.query, { regex: filters.regex }),
+        [filters.query, filters.regex]
+    );
+    const visibleLogs = filterResult.entries;
+    const { matchIds } = filterResult;
+    const bookmarkedLogs = useMemo(
+        () => parsedLogs.filter(logEntry => bookmarks.has(logEntry.id)),
+        [parsedLogs, bookmarks]
+    );
 
-        const [, timestamp, executionTime, logType, lineNumber, level, content] = match;
-
-        return {
-            type: 'parsed',
-            timestamp,
-            executionTime,
-            logType,
-            lineNumber,
-            level,
-            content: content.trim(),
-            parsedContent: parseContent(content.trim())
-        };
+    const updateTab = (id, changes) => {
+        setTabs(current => current.map(tab => (
+            tab.id === id
+                ? { ...tab, ...(typeof changes === 'function' ? changes(tab) : changes) }
+                : tab
+        )));
     };
 
-    const parseContent = (content) => {
-        // Try to parse different types of content
+    const setInputLog = (value) => updateTab(activeTab.id, { inputLog: value });
+    const setExpandedItems = (items) => updateTab(activeTab.id, { expandedItems: items });
 
-        // Handle object-like structures
-        if (content.includes(':[') || content.includes(':{')) {
-            return parseObjectStructure(content);
+    const cancelParsing = (tabId = activeTab.id) => {
+        const job = parseJobsRef.current.get(tabId);
+        if (job) {
+            job.cancel();
+            parseJobsRef.current.delete(tabId);
         }
+        updateTab(tabId, { parseProgress: null });
+    };
 
-        // Handle simple key-value pairs
-        if (content.includes('=') && !content.includes('(') && !content.includes('[')) {
-            return parseKeyValuePairs(content);
-        }
+    // `preserveState` keeps expand state and bookmarks, e.g. for a restored
+    // session whose entry ids are known to match.
+    const parseTab = (tabId, text, { preserveState = false } = {}) => {
+        if (!text.trim()) return;
 
-        // Handle complex nested structures
-        if (content.includes('(') && content.includes(')')) {
-            return parseComplexStructure(content);
+        cancelParsing(tabId);
+        const job = parseLogInWorker(text, {
+            onProgress: (progress) => updateTab(tabId, { parseProgress: progress })
+        });
+        parseJobsRef.current.set(tabId, job);
+        updateTab(tabId, { parseProgress: { done: 0, total: 0 }, parseError: null });
+
+        job.promise
+            .then((entries) => {
+                updateTab(tabId, preserveState
+                    ? { parsedLogs: entries }
+                    : { parsedLogs: entries, expandedItems: new Set(), searchExpanded: new Set(), bookmarks: new Set() });
+            })
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                console.error('Failed to parse log: ', err);
+                updateTab(tabId, { parseError: err.message || String(err) });
+            })
+            .finally(() => {
+                if (parseJobsRef.current.get(tabId) === job) {
+                    parseJobsRef.current.delete(tabId);
+                    updateTab(tabId, { parseProgress: null });
+                }
+            });
+    };
+
+    const formatLog = () => parseTab(activeTab.id, inputLog);
+
+    // Every parsed tab is masked in one worker run, so a value gets the same
+    // token in each tab, in the preview and in exports.
+    const redactionActive = redaction.enabled || showRedaction;
+    useEffect(() => {
+        if (!redactionActive) return;
+        const sources = tabs.map(tab => tab.parsedLogs).filter(entries => entries.length > 0);
+        const isCurrent = (run) => run && run.settings === redaction
+            && run.sources.length === sources.length
+            && run.sources.every((entries, index) => entries === sources[index]);
+        if (isCurrent(redactionRun) || isCurrent(redactionJobRef.current)) return;
+
+        if (redactionJobRef.current) redactionJobRef.current.cancel();
+        const job = { ...redactLogsInWorker(sources, redaction), settings: redaction, sources };
+        redactionJobRef.current = job;
+
+        job.promise
+            .then((run) => {
+                setRedactionRun({ ...run, settings: redaction, sources });
+                setRedactionError(null);
+            })
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                setRedactionError(err.message || String(err));
+            })
+            .finally(() => {
+                if (redactionJobRef.current === job) redactionJobRef.current = null;
+            });
+    }, [tabs, redaction, redactionActive]);
+
+    const openFiles = async (fileList) => {
+        const sessionFile = Array.from(fileList).find(file => file.name.endsWith(SESSION_FILE_EXTENSION));
+        if (sessionFile) {
+            openSessionFile(sessionFile);
+            return;
         }
 
-        return { type: 'text', value: content };
-    };
+        const files = Array.from(fileList).filter(file => LOG_FILE_PATTERN.test(file.name));
+        if (files.length === 0) return;
 
-    const parseObjectStructure = (content) => {
-        try {
-            const colonIndex = content.indexOf(':');
-            if (colonIndex === -1) return { type: 'text', value: content };
-
-            const objectName = content.substring(0, colonIndex).trim();
-            const objectContent = content.substring(colonIndex + 1).trim();
-
-            if (objectContent.startsWith('{') && objectContent.endsWith('}')) {
-                const innerContent = objectContent.slice(1, -1);
-                const fields = parseFields(innerContent);
-                return {
-                    type: 'object',
-                    name: objectName,
-                    fields: fields
-                };
-            }
+        const loaded = await Promise.all(files.map(async (file) => (
+            createTab(nextTabIdRef.current++, file.name, await file.text())
+        )));
 
-            if (objectContent.startsWith('[') && objectContent.endsWith(']')) {
-                const innerContent = objectContent.slice(1, -1);
-                const items = parseArrayItems(innerContent);
-                return {
-                    type: 'array',
-                    name: objectName,
-                    items: items
-                };
-            }
+        // Reuse the initial tab if nothing was pasted into it yet.
+        setTabs(current => [
+            ...current.filter(tab => tab.inputLog.trim() || current.length > 1),
+            ...loaded
+        ]);
+        setActiveTabId(loaded[0].id);
+        loaded.forEach(tab => parseTab(tab.id, tab.inputLog));
+    };
 
-            return { type: 'text', value: content };
-        } catch (e) {
-            return { type: 'text', value: content };
-        }
+    const addTab = () => {
+        const tab = createTab(nextTabIdRef.current++, `Pasted log ${tabs.length + 1}`);
+        setTabs(current => [...current, tab]);
+        setActiveTabId(tab.id);
     };
 
-    const parseComplexStructure = (content) => {
-        try {
-            const parenIndex = content.indexOf('(');
-            if (parenIndex === -1) return { type: 'text', value: content };
-
-            const name = content.substring(0, parenIndex).trim();
-            const innerContent = content.substring(parenIndex + 1);
-
-            // Find matching closing parenthesis
-            let depth = 0;
-            let endIndex = -1;
-            for (let i = 0; i < innerContent.length; i++) {
-                if (innerContent[i] === '(') depth++;
-                else if (innerContent[i] === ')') {
-                    if (depth === 0) {
-                        endIndex = i;
-                        break;
-                    }
-                    depth--;
-                }
-            }
+    const closeTab = (tabId) => {
+        cancelParsing(tabId);
+        const remaining = tabs.filter(tab => tab.id !== tabId);
+        const next = remaining.length > 0 ? remaining : [createTab(nextTabIdRef.current++, 'Pasted log')];
+        setTabs(next);
+        if (tabId === activeTab.id) setActiveTabId(next[0].id);
+    };
+
+    // Search-opened nodes are left out; the saved search reopens them on load.
+    const snapshot = (details) => serializeSession(
+        {
+            tabs: tabs.map(tab => ({
+                ...tab,
+                expandedItems: new Set(Array.from(tab.expandedItems).filter(id => !tab.searchExpanded.has(id)))
+            })),
+            activeTabId: activeTab.id,
+            view,
+            filters,
+            redaction
+        },
+        details
+    );
 
-            if (endIndex === -1) return { type: 'text', value: content };
+    const applySession = (data) => {
+        const session = deserializeSession(data);
+        if (session.tabs.length === 0) return;
 
-            const params = innerContent.substring(0, endIndex);
-            const fields = parseFields(params);
+        parseJobsRef.current.forEach(job => job.cancel());
+        parseJobsRef.current.clear();
 
-            return {
-                type: 'complex',
-                name: name,
-                fields: fields
-            };
-        } catch (e) {
-            return { type: 'text', value: content };
-        }
+        const restored = session.tabs.map(tab => ({
+            ...createTab(tab.id, tab.name, tab.inputLog),
+            expandedItems: tab.expandedItems,
+            bookmarks: tab.bookmarks
+        }));
+        nextTabIdRef.current = Math.max(...restored.map(tab => tab.id)) + 1;
+        setTabs(restored);
+        setActiveTabId(restored.some(tab => tab.id === session.activeTabId) ? session.activeTabId : restored[0].id);
+        setView(session.view);
+        if (session.filters) setFilters(session.filters);
+        if (session.redaction) setRedaction(session.redaction);
+        restored.forEach(tab => parseTab(tab.id, tab.inputLog, { preserveState: true }));
+        setSessionError(null);
     };
 
-    const parseFields = (content) => {
-        const fields = [];
-        let current = '';
-        let depth = 0;
-        let inQuotes = false;
-        let quoteChar = '';
-
-        for (let i = 0; i < content.length; i++) {
-            const char = content[i];
-
-            if (!inQuotes && (char === '"' || char === "'")) {
-                inQuotes = true;
-                quoteChar = char;
-                current += char;
-            } else if (inQuotes && char === quoteChar) {
-                inQuotes = false;
-                current += char;
-            } else if (!inQuotes) {
-                if (char === '(' || char === '[' || char === '{') {
-                    depth++;
-                    current += char;
-                } else if (char === ')' || char === ']' || char === '}') {
-                    depth--;
-                    current += char;
-                } else if (char === ',' && depth === 0) {
-                    if (current.trim()) {
-                        fields.push(parseField(current.trim()));
-                    }
-                    current = '';
-                    continue;
-                } else {
-                    current += char;
-                }
-            } else {
-                current += char;
-            }
+    const saveNamedSession = (details) => saveSession(`session-${Date.now()}`, snapshot(details))
+        .catch((err) => setSessionError(`Failed to save session: ${err.message}`));
+
+    const openSavedSession = (id) => loadSession(id)
+        .then((data) => data && applySession(data))
+        .catch((err) => setSessionError(`Failed to open session: ${err.message}`));
+
+    // A shared file must not leak what redaction hides on screen.
+    const saveSessionFile = (details) => {
+        const session = snapshot(details);
+        if (redaction.enabled) {
+            const redactor = createRedactor(redaction, { tokens: redactionRun ? redactionRun.tokens : [] });
+            session.tabs = session.tabs.map(tab => ({
+                ...tab,
+                inputLog: tab.inputLog.split('\n').map(line => redactor.redactLine(line)).join('\n')
+            }));
         }
+        const baseName = (details.name || activeTab.name).replace(LOG_FILE_PATTERN, '') || 'debug-log';
+        downloadFile(JSON.stringify(session), `${baseName}${SESSION_FILE_EXTENSION}`, 'application/json');
+    };
 
-        if (current.trim()) {
-            fields.push(parseField(current.trim()));
+    const openSessionFile = async (file) => {
+        try {
+            applySession(JSON.parse(await file.text()));
+        } catch (err) {
+            setShowSessions(true);
+            setSessionError(`Failed to open ${file.name}: ${err.message}`);
         }
-
-        return fields;
     };
 
-    const parseField = (fieldContent) => {
-        const equalIndex = fieldContent.indexOf('=');
-        if (equalIndex === -1) {
-            return { type: 'value', content: fieldContent };
+    // Restore the workspace from the last visit, then keep autosaving it.
+    useEffect(() => {
+        loadSession(AUTOSAVE_ID)
+            .then((data) => data && applySession(data))
+            .catch((err) => console.error('Failed to restore the last session: ', err))
+            .finally(() => {
+                restoredRef.current = true;
+            });
+    }, []);
+
+    useEffect(() => {
+        if (!restoredRef.current) return undefined;
+
+        const timer = setTimeout(() => {
+            saveSession(AUTOSAVE_ID, snapshot({ name: 'Autosave' }))
+                .catch((err) => console.error('Failed to autosave session: ', err));
+        }, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [tabs, activeTabId, view, filters, redaction]);
+
+    const toggleBookmark = (entryId) => {
+        const next = new Set(bookmarks);
+        if (next.has(entryId)) {
+            next.delete(entryId);
+        } else {
+            next.add(entryId);
         }
+        updateTab(activeTab.id, { bookmarks: next });
+    };
 
-        const key = fieldContent.substring(0, equalIndex).trim();
-        const value = fieldContent.substring(equalIndex + 1).trim();
-
-        return {
-            type: 'keyValue',
-            key: key,
-            value: parseContent(value)
-        };
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        openFiles(e.dataTransfer.files);
     };
 
-    const parseArrayItems = (content) => {
-        if (!content.trim()) return [];
-
-        const items = [];
-        let current = '';
-        let depth = 0;
-        let inQuotes = false;
-        let quoteChar = '';
-
-        for (let i = 0; i < content.length; i++) {
-            const char = content[i];
-
-            if (!inQuotes && (char === '"' || char === "'")) {
-                inQuotes = true;
-                quoteChar = char;
-                current += char;
-            } else if (inQuotes && char === quoteChar) {
-                inQuotes = false;
-                current += char;
-            } else if (!inQuotes) {
-                if (char === '(' || char === '[' || char === '{') {
-                    depth++;
-                    current += char;
-                } else if (char === ')' || char === ']' || char === '}') {
-                    depth--;
-                    current += char;
-                } else if (char === ',' && depth === 0) {
-                    if (current.trim()) {
-                        items.push(parseContent(current.trim()));
-                    }
-                    current = '';
-                    continue;
-                } else {
-                    current += char;
-                }
-            } else {
-                current += char;
-            }
+    const exportLog = (format) => {
+        const baseName = activeTab.name.replace(LOG_FILE_PATTERN, '') || 'debug-log';
+
+        if (format === 'json') {
+            downloadFile(toJson(parsedLogs), `${baseName}.json`, 'application/json');
+        } else if (format === 'text') {
+            downloadFile(toText(parsedLogs), `${baseName}.formatted.txt`, 'text/plain');
+        } else if (format === 'html') {
+            downloadFile(toHtmlReport(parsedLogs, { title: activeTab.name }), `${baseName}.html`, 'text/html');
         }
+    };
 
-        if (current.trim()) {
-            items.push(parseContent(current.trim()));
+    // Open every node on the path to a search match, and close the ones the
+    // previous search opened. Nodes that were already open stay open.
+    useEffect(() => {
+        setActiveMatch(0);
+        if (listRef.current && filterResult.matchIds.length > 0) {
+            const position = filterResult.entries.findIndex(entry => entry.id === filterResult.matchIds[0]);
+            listRef.current.scrollToIndex(position);
         }
+        updateTab(activeTab.id, tab => {
+            if (tab.searchExpanded.size === 0 && filterResult.expandIds.length === 0) return {};
+            const next = new Set(Array.from(tab.expandedItems).filter(id => !tab.searchExpanded.has(id)));
+            const opened = new Set(filterResult.expandIds.filter(id => !next.has(id)));
+            opened.forEach(id => next.add(id));
+            return { expandedItems: next, searchExpanded: opened };
+        });
+    }, [filterResult]);
+
+    const goToMatch = (index) => {
+        if (matchIds.length === 0) return;
 
-        return items;
+        const next = (index + matchIds.length) % matchIds.length;
+        setActiveMatch(next);
+        setView('entries');
+        const position = visibleLogs.findIndex(entry => entry.id === matchIds[next]);
+        if (listRef.current && position !== -1) listRef.current.scrollToIndex(position);
     };
 
-    const parseKeyValuePairs = (content) => {
-        const pairs = content.split(',').map(pair => {
-            const equalIndex = pair.indexOf('=');
-            if (equalIndex === -1) return { type: 'value', content: pair.trim() };
+    // The URL hash names the focused entry or node, so the address bar is
+    // always a link to it for anyone who opens the same log.
+    const setLocationHash = (nodeId) => {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${nodeId}`);
+    };
 
-            const key = pair.substring(0, equalIndex).trim();
-            const value = pair.substring(equalIndex + 1).trim();
+    // Switch to the entry list and bring an entry into view, dropping any
+    // filters that would hide it.
+    const jumpToEntry = (entryId, nodeId = null) => {
+        pendingJumpRef.current = entryId;
+        setFocusedEntryId(entryId);
+        setFocusedNodeId(nodeId);
+        setLocationHash(nodeId || entryNodeId(entryId));
+        setView('entries');
+        if (!visibleLogs.some(entry => entry.id === entryId)) setFilters(EMPTY_FILTERS);
+    };
 
-            return {
-                type: 'keyValue',
-                key: key,
-                value: { type: 'text', value: value }
-            };
-        });
+    // Only nodes of log entries go into the URL hash; the same values shown
+    // in other views, such as the compare panes, have ids no link resolves.
+    const focusNode = (nodeId) => {
+        const entryId = entryIdForNode(nodeId);
+        setFocusedNodeId(nodeId);
+        if (entryId === null) return;
+        setFocusedEntryId(entryId);
+        setLocationHash(nodeId);
+    };
 
-        return {
-            type: 'keyValueList',
-            pairs: pairs
-        };
+    // Opens every node above `nodeId` and jumps to it. False when the node's
+    // entry is not in this log.
+    const revealNode = (nodeId) => {
+        const entryId = entryIdForNode(nodeId);
+        const entry = parsedLogs.find(logEntry => logEntry.id === entryId);
+        if (!entry) return false;
+
+        const nodes = new Map(collectEntryNodes(entry).map(node => [node.id, node]));
+        const next = new Set(expandedItems);
+        for (let node = nodes.get(nodeId); node && node.parentId; node = nodes.get(node.parentId)) {
+            next.add(node.parentId);
+        }
+        setExpandedItems(next);
+        jumpToEntry(entryId, nodes.has(nodeId) ? nodeId : null);
+        return true;
     };
 
-    const formatLog = () => {
-        if (!inputLog.trim()) return;
+    useEffect(() => {
+        const onHashChange = () => setPendingNodeId(window.location.hash.substring(1) || null);
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    // A deep link waits until a log is parsed, then lands on its node if the
+    // log has it.
+    useEffect(() => {
+        if (!pendingNodeId || parsedLogs.length === 0) return;
+        revealNode(pendingNodeId);
+        setPendingNodeId(null);
+    }, [pendingNodeId, parsedLogs]);
+
+    useEffect(() => {
+        if (!focusedNodeId) return undefined;
+        const frame = requestAnimationFrame(() => {
+            const element = document.getElementById(focusedNodeId);
+            if (element) element.scrollIntoView({ block: 'nearest' });
+        });
+        return () => cancelAnimationFrame(frame);
+    }, [focusedNodeId, visibleLogs]);
 
-        const lines = inputLog.split('\n').filter(line => line.trim());
-        const parsed = lines.map((line, index) => ({
-            id: index,
-            original: line,
-            parsed: parseLogEntry(line)
-        }));
+    useEffect(() => {
+        if (view !== 'entries' || pendingJumpRef.current === null || !listRef.current) return;
 
-        setParsedLogs(parsed);
-        setExpandedItems(new Set());
-    };
+        const position = visibleLogs.findIndex(entry => entry.id === pendingJumpRef.current);
+        if (position === -1) return;
+        listRef.current.scrollToIndex(position);
+        pendingJumpRef.current = null;
+    }, [view, visibleLogs, focusedEntryId]);
 
-    const toggleExpanded = (id) => {
+    // `openAlso` returns more ids to open along with `id`, e.g. a payload's
+    // body, which reads best fully open.
+    const toggleExpanded = (id, openAlso = null) => {
         const newExpanded = new Set(expandedItems);
         if (newExpanded.has(id)) {
             newExpanded.delete(id);
         } else {
             newExpanded.add(id);
+            if (openAlso) openAlso().forEach(nodeId => newExpanded.add(nodeId));
         }
         setExpandedItems(newExpanded);
     };
 
+    // Clicking a collapsible header toggles it and makes it the focused node.
+    const activateNode = (nodeId, openAlso = null) => {
+        toggleExpanded(nodeId, openAlso);
+        focusNode(nodeId);
+    };
+
+    const nodeHeaderProps = (nodeId, openAlso = null) => ({
+        id: nodeId,
+        onClick: () => activateNode(nodeId, openAlso),
+        className: `flex items-center cursor-pointer hover:bg-gray-50 p-1 rounded ${focusedNodeId === nodeId ? 'ring-1 ring-blue-400 bg-blue-50' : ''}`
+    });
+
+    // Replaces the entry list's expand state with every node above `maxDepth`
+    // open; other views keep theirs.
+    const expandToDepth = (maxDepth) => {
+        const next = new Set(Array.from(expandedItems).filter(id => entryIdForNode(id) === null));
+        parsedLogs.forEach(entry => collectEntryNodes(entry).forEach(node => {
+            if (node.depth < maxDepth) next.add(node.id);
+        }));
+        setExpandedItems(next);
+    };
+
+    // j/k step through entries, arrows walk and open the focused entry's
+    // nodes, * opens a whole subtree and / jumps to search.
+    const handleKeyDown = (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (parsedLogs.length === 0) return;
+
+        if (e.key === '/') {
+            e.preventDefault();
+            if (searchRef.current) searchRef.current.focus();
+            return;
+        }
+        if (view !== 'entries' || visibleLogs.length === 0) return;
+
+        const position = visibleLogs.findIndex(entry => entry.id === focusedEntryId);
+
+        if (e.key === 'j' || e.key === 'k') {
+            const next = position === -1
+                ? 0
+                : Math.min(Math.max(position + (e.key === 'j' ? 1 : -1), 0), visibleLogs.length - 1);
+            setFocusedEntryId(visibleLogs[next].id);
+            setFocusedNodeId(null);
+            setLocationHash(entryNodeId(visibleLogs[next].id));
+            if (listRef.current) listRef.current.scrollToIndex(next, { nearest: true });
+            return;
+        }
+
+        if (!['ArrowDown', 'ArrowUp', 'ArrowRight', 'ArrowLeft', '*'].includes(e.key) || position === -1) return;
+        const entry = visibleLogs[position];
+        const nodes = visibleEntryNodes(entry, expandedItems);
+        if (nodes.length === 0) return;
+        e.preventDefault();
+
+        const index = nodes.findIndex(node => node.id === focusedNodeId);
+        if (index === -1) {
+            focusNode(nodes[0].id);
+            return;
+        }
+        const node = nodes[index];
+        const isExpanded = expandedItems.has(node.id);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                if (index < nodes.length - 1) focusNode(nodes[index + 1].id);
+                break;
+            case 'ArrowUp':
+                if (index > 0) focusNode(nodes[index - 1].id);
+                break;
+            case 'ArrowRight':
+                if (!isExpanded) toggleExpanded(node.id);
+                else if (nodes[index + 1] && nodes[index + 1].parentId === node.id) focusNode(nodes[index + 1].id);
+                break;
+            case 'ArrowLeft':
+                if (isExpanded) toggleExpanded(node.id);
+                else if (node.parentId) focusNode(node.parentId);
+                break;
+            case '*': {
+                const all = collectEntryNodes(entry);
+                const start = all.findIndex(candidate => candidate.id === node.id);
+                const next = new Set(expandedItems);
+                for (let i = start; i < all.length && (i === start || all[i].depth > node.depth); i++) {
+                    next.add(all[i].id);
+                }
+                setExpandedItems(next);
+                break;
+            }
+            default:
+                break;
+        }
+    };
+    keyHandlerRef.current = handleKeyDown;
+
+    useEffect(() => {
+        const listener = (e) => keyHandlerRef.current(e);
+        window.addEventListener('keydown', listener);
+        return () => window.removeEventListener('keydown', listener);
+    }, []);
+
     const clearLogs = () => {
-        setInputLog('');
-        setParsedLogs([]);
-        setExpandedItems(new Set());
+        cancelParsing();
+        updateTab(activeTab.id, { inputLog: '', parsedLogs: [], expandedItems: new Set(), searchExpanded: new Set(), bookmarks: new Set(), parseError: null });
     };
 
     const copyToClipboard = async (text) => {
@@ -292,36 +626,42 @@ const SalesforceDebugFormatter = () => {
         }
     };
 
+    const renderCell = (value, parentId) => renderValue(value, parentId, 0);
+
     const renderValue = (value, parentId, depth = 0) => {
         if (!value) return null;
 
         const indent = depth * 20;
 
+        if (value.label) {
+            return (
+                <div className="flex items-start" style={{ marginLeft: `${indent}px` }}>
+                    <span className="font-medium text-gray-600 mr-2 mt-1"><Highlight text={value.label} matcher={matcher} />:</span>
+                    <div className="flex-1">{renderValue({ ...value, label: undefined }, parentId)}</div>
+                </div>
+            );
+        }
+
         switch (value.type) {
             case 'text':
-                return (
-                    <span className="text-gray-800 font-mono text-sm">{value.value}</span>
-                );
+                return <TypedValue text={value.value} matcher={matcher} />;
 
             case 'object':
-                const objectId = `${parentId}-obj-${value.name}`;
+                const objectId = valueNodeId(value, parentId);
                 const isObjectExpanded = expandedItems.has(objectId);
 
                 return (
                     <div style={{ marginLeft: `${indent}px` }}>
-                        <div
-                            className="flex items-center cursor-pointer hover:bg-gray-50 p-1 rounded"
-                            onClick={() => toggleExpanded(objectId)}
-                        >
+                        <div {...nodeHeaderProps(objectId)}>
                             {isObjectExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
-                            <span className="font-semibold text-blue-600 ml-1">{value.name}</span>
+                            <span className="font-semibold text-blue-600 ml-1"><Highlight text={value.name} matcher={matcher} /></span>
                             <span className="text-gray-500 ml-2">({value.fields.length} fields)</span>
                         </div>
                         {isObjectExpanded && (
                             <div className="ml-4 border-l-2 border-gray-200 pl-3">
                                 {value.fields.map((field, index) => (
                                     <div key={index} className="py-1">
-                                        {renderField(field, `${objectId}-field-${index}`, depth + 1)}
+                                        {renderField(field, childNodeId(objectId, value, index), depth + 1)}
                                     </div>
                                 ))}
                             </div>
@@ -330,24 +670,21 @@ const SalesforceDebugFormatter = () => {
                 );
 
             case 'complex':
-                const complexId = `${parentId}-complex-${value.name}`;
+                const complexId = valueNodeId(value, parentId);
                 const isComplexExpanded = expandedItems.has(complexId);
 
                 return (
                     <div style={{ marginLeft: `${indent}px` }}>
-                        <div
-                            className="flex items-center cursor-pointer hover:bg-gray-50 p-1 rounded"
-                            onClick={() => toggleExpanded(complexId)}
-                        >
+                        <div {...nodeHeaderProps(complexId)}>
                             {isComplexExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
-                            <span className="font-semibold text-purple-600 ml-1">{value.name}</span>
+                            <span className="font-semibold text-purple-600 ml-1"><Highlight text={value.name} matcher={matcher} /></span>
                             <span className="text-gray-500 ml-2">({value.fields.length} fields)</span>
                         </div>
                         {isComplexExpanded && (
                             <div className="ml-4 border-l-2 border-gray-200 pl-3">
                                 {value.fields.map((field, index) => (
                                     <div key={index} className="py-1">
-                                        {renderField(field, `${complexId}-field-${index}`, depth + 1)}
+                                        {renderField(field, childNodeId(complexId, value, index), depth + 1)}
                                     </div>
                                 ))}
                             </div>
@@ -356,25 +693,25 @@ const SalesforceDebugFormatter = () => {
                 );
 
             case 'array':
-                const arrayId = `${parentId}-array-${value.name}`;
+                const arrayId = valueNodeId(value, parentId);
                 const isArrayExpanded = expandedItems.has(arrayId);
 
                 return (
                     <div style={{ marginLeft: `${indent}px` }}>
-                        <div
-                            className="flex items-center cursor-pointer hover:bg-gray-50 p-1 rounded"
-                            onClick={() => toggleExpanded(arrayId)}
-                        >
+                        <div {...nodeHeaderProps(arrayId)}>
                             {isArrayExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
-                            <span className="font-semibold text-green-600 ml-1">{value.name}</span>
+                            <span className="font-semibold text-green-600 ml-1"><Highlight text={value.name || 'List'} matcher={matcher} /></span>
                             <span className="text-gray-500 ml-2">[{value.items.length} items]</span>
                         </div>
-                        {isArrayExpanded && (
+                        {isArrayExpanded && isRecordList(value) && (
+                            <SObjectGrid value={value} arrayId={arrayId} renderCell={renderCell} />
+                        )}
+                        {isArrayExpanded && !isRecordList(value) && (
                             <div className="ml-4 border-l-2 border-gray-200 pl-3">
                                 {value.items.map((item, index) => (
                                     <div key={index} className="py-1">
                                         <span className="text-gray-400 mr-2">[{index}]</span>
-                                        {renderValue(item, `${arrayId}-item-${index}`, depth + 1)}
+                                        {renderValue(item, childNodeId(arrayId, value, index), depth + 1)}
                                     </div>
                                 ))}
                             </div>
@@ -382,16 +719,33 @@ const SalesforceDebugFormatter = () => {
                     </div>
                 );
 
+            case 'map':
+            case 'set':
+                const collectionId = valueNodeId(value, parentId);
+                const isCollectionExpanded = expandedItems.has(collectionId);
+                const collectionSize = value.type === 'map' ? value.entries.length : value.items.length;
+
+                return (
+                    <div style={{ marginLeft: `${indent}px` }}>
+                        <div {...nodeHeaderProps(collectionId)}>
+                            {isCollectionExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                            <span className="font-semibold text-teal-600 ml-1">{value.type === 'map' ? 'Map' : 'Set'}</span>
+                            <span className="text-gray-500 ml-2">{`{${collectionSize} ${value.type === 'map' ? 'entries' : 'items'}}`}</span>
+                        </div>
+                        {isCollectionExpanded && (value.type === 'map'
+                            ? <MapTable value={value} mapId={collectionId} renderCell={renderCell} matcher={matcher} />
+                            : <SetTable value={value} setId={collectionId} renderCell={renderCell} />
+                        )}
+                    </div>
+                );
+
             case 'keyValueList':
-                const kvListId = `${parentId}-kvlist`;
+                const kvListId = valueNodeId(value, parentId);
                 const isKvListExpanded = expandedItems.has(kvListId);
 
                 return (
                     <div style={{ marginLeft: `${indent}px` }}>
-                        <div
-                            className="flex items-center cursor-pointer hover:bg-gray-50 p-1 rounded"
-                            onClick={() => toggleExpanded(kvListId)}
-                        >
+                        <div {...nodeHeaderProps(kvListId)}>
                             {isKvListExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
                             <span className="font-semibold text-orange-600 ml-1">Key-Value Pairs</span>
                             <span className="text-gray-500 ml-2">({value.pairs.length} pairs)</span>
@@ -400,7 +754,7 @@ const SalesforceDebugFormatter = () => {
                             <div className="ml-4 border-l-2 border-gray-200 pl-3">
                                 {value.pairs.map((pair, index) => (
                                     <div key={index} className="py-1">
-                                        {renderField(pair, `${kvListId}-pair-${index}`, depth + 1)}
+                                        {renderField(pair, childNodeId(kvListId, value, index), depth + 1)}
                                     </div>
                                 ))}
                             </div>
@@ -408,6 +762,72 @@ const SalesforceDebugFormatter = () => {
                     </div>
                 );
 
+            case 'payload':
+                const payloadId = valueNodeId(value, parentId);
+                const isPayloadExpanded = expandedItems.has(payloadId);
+                const payloadSize = value.format === 'json'
+                    ? `${Array.isArray(value.data) ? `[${value.data.length} items]` : `{${Object.keys(value.data ?? {}).length} keys}`}`
+                    : `${value.text.split('\n').length} lines`;
+
+                return (
+                    <div style={{ marginLeft: `${indent}px` }}>
+                        <div {...nodeHeaderProps(payloadId, () => payloadBodyIds(value, payloadId))}>
+                            {isPayloadExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                            <span className="font-semibold text-pink-600 ml-1">{value.format.toUpperCase()}</span>
+                            <span className="text-gray-500 ml-2">{payloadSize}</span>
+                            {value.truncated && (
+                                <span
+                                    className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs ml-2"
+                                    title="Cut off at the log line limit; only the complete part is shown"
+                                >
+                                    truncated
+                                </span>
+                            )}
+                        </div>
+                        {isPayloadExpanded && (
+                            <div className="ml-4 mt-1">
+                                <PayloadView
+                                    payload={value}
+                                    nodeId={payloadId}
+                                    matcher={matcher}
+                                    expandedItems={expandedItems}
+                                    toggleExpanded={activateNode}
+                                    focusedNodeId={focusedNodeId}
+                                />
+                            </div>
+                        )}
+                    </div>
+                );
+
+            case 'limitUsage':
+                return (
+                    <div style={{ marginLeft: `${indent}px` }}>
+                        <div className="font-semibold text-gray-700 mb-1">
+                            Namespace <span className="font-mono">{value.namespace}</span>
+                        </div>
+                        <LimitBars limits={value.limits} />
+                    </div>
+                );
+
+            case 'profiling':
+                return (
+                    <div style={{ marginLeft: `${indent}px` }}>
+                        <div className="font-semibold text-gray-700 mb-1 capitalize">{value.section}</div>
+                        {value.rows.length > 0 && (
+                            <SortableTable
+                                columns={[
+                                    { key: 'location', label: 'Location', render: (text) => <Highlight text={text} matcher={matcher} /> },
+                                    { key: 'line', label: 'Line', numeric: true },
+                                    { key: 'statement', label: 'Statement', render: (text) => <Highlight text={text} matcher={matcher} /> },
+                                    { key: 'count', label: 'Count', numeric: true },
+                                    { key: 'time', label: 'Time (ms)', numeric: true }
+                                ]}
+                                rows={value.rows}
+                            />
+                        )}
+                    </div>
+                );
+
             default:
                 return <span className="text-gray-800 font-mono text-sm">{JSON.stringify(value)}</span>;
         }
@@ -417,16 +837,16 @@ const SalesforceDebugFormatter = () => {
         if (field.type === 'keyValue') {
             return (
                 <div className="flex items-start">
-                    <span className="font-medium text-indigo-600 mr-2 min-w-0">{field.key}:</span>
+                    <span className="font-medium text-indigo-600 mr-2 min-w-0"><Highlight text={field.key} matcher={matcher} />:</span>
                     <div className="flex-1">
-                        {renderValue(field.value, `${parentId}-value`, depth)}
+                        {renderValue(field.value, fieldValueNodeId(parentId), depth)}
                     </div>
                 </div>
             );
         } else if (field.type === 'value') {
             return (
                 <div className="text-gray-700 font-mono text-sm">
-                    {field.content}
+                    <Highlight text={field.content} matcher={matcher} />
                 </div>
             );
         }
@@ -437,19 +857,32 @@ const SalesforceDebugFormatter = () => {
     const renderLogEntry = (logEntry) => {
         const { parsed } = logEntry;
 
+        if (parsed.type === 'meta') {
+            const isWarning = parsed.kind !== 'header';
+            return (
+                <div id={entryNodeId(logEntry.id)} className={`p-3 rounded border-l-4 ${isWarning ? 'bg-red-50 border-red-400' : 'bg-blue-50 border-blue-400'} ${focusedEntryId === logEntry.id ? 'ring-2 ring-blue-400' : ''}`}>
+                    <div className={`font-mono text-sm ${isWarning ? 'text-red-800' : 'text-blue-800'}`}>
+                        {parsed.kind === 'header' ? `Log header · API ${parsed.apiVersion}` : parsed.content}
+                    </div>
+                </div>
+            );
+        }
+
         if (parsed.type === 'unparsed') {
             return (
-                <div className="bg-gray-50 p-3 rounded border-l-4 border-gray-400">
-                    <div className="font-mono text-sm text-gray-700">{parsed.content}</div>
+                <div id={entryNodeId(logEntry.id)} className={`bg-gray-50 p-3 rounded border-l-4 border-gray-400 ${matchIds[activeMatch] === logEntry.id ? 'ring-2 ring-yellow-400' : ''} ${focusedEntryId === logEntry.id ? 'ring-2 ring-blue-400' : ''}`}>
+                    <div className="font-mono text-sm text-gray-700 whitespace-pre-wrap"><Highlight text={parsed.content} matcher={matcher} /></div>
                 </div>
             );
         }
 
-        const contentId = `log-${logEntry.id}-content`;
+        const contentId = contentNodeId(logEntry.id);
         const isContentExpanded = expandedItems.has(contentId);
+        const isActiveMatch = matchIds[activeMatch] === logEntry.id;
+        const isFocused = focusedEntryId === logEntry.id;
 
         return (
-            <div className="bg-white border rounded-lg shadow-sm mb-4 overflow-hidden">
+            <div id={entryNodeId(logEntry.id)} className={`bg-white border rounded-lg shadow-sm overflow-hidden ${isActiveMatch ? 'ring-2 ring-yellow-400' : ''} ${isFocused ? 'ring-2 ring-blue-400' : ''}`}>
                 <div className="bg-gray-50 px-4 py-2 border-b">
                     <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-4">
@@ -467,6 +900,23 @@ const SalesforceDebugFormatter = () => {
                             )}
                         </div>
                         <div className="flex items-center space-x-2">
+                            <button
+                                onClick={() => toggleBookmark(logEntry.id)}
+                                className={`p-1 hover:bg-gray-200 rounded ${bookmarks.has(logEntry.id) ? 'text-blue-600' : 'text-gray-400'}`}
+                                title={bookmarks.has(logEntry.id) ? 'Remove bookmark' : 'Bookmark entry'}
+                            >
+                                <Bookmark size={14} fill={bookmarks.has(logEntry.id) ? 'currentColor' : 'none'} />
+                            </button>
+                            <button
+                                onClick={() => {
+                                    setLocationHash(entryNodeId(logEntry.id));
+                                    copyToClipboard(window.location.href);
+                                }}
+                                className="p-1 hover:bg-gray-200 rounded text-gray-500"
+                                title="Copy link to this entry"
+                            >
+                                <Link size={14} />
+                            </button>
                             <button
                                 onClick={() => copyToClipboard(logEntry.original)}
                                 className="p-1 hover:bg-gray-200 rounded"
@@ -480,8 +930,9 @@ const SalesforceDebugFormatter = () => {
 
                 <div className="p-4">
                     <div
-                        className="flex items-center cursor-pointer hover:bg-gray-50 p-2 rounded"
-                        onClick={() => toggleExpanded(contentId)}
+                        id={contentId}
+                        className={`flex items-center cursor-pointer hover:bg-gray-50 p-2 rounded ${focusedNodeId === contentId ? 'ring-1 ring-blue-400 bg-blue-50' : ''}`}
+                        onClick={() => activateNode(contentId)}
                     >
                         {isContentExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
                         <span className="font-semibold text-gray-700 ml-2">Content</span>
@@ -500,12 +951,44 @@ const SalesforceDebugFormatter = () => {
     return (
         <div className="min-h-screen bg-gray-100 p-4">
             <div className="max-w-6xl mx-auto">
-                <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                <div
+                    className={`bg-white rounded-lg shadow-lg p-6 mb-6 border-2 ${isDragging ? 'border-dashed border-blue-500 bg-blue-50' : 'border-transparent'}`}
+                    onDragOver={(e) => {
+                        e.preventDefault();
+                        setIsDragging(true);
+                    }}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                >
                     <h1 className="text-3xl font-bold text-gray-800 mb-2">Salesforce Debug Log Formatter</h1>
                     <p className="text-gray-600 mb-6">
-                        Paste your Salesforce debug logs below to format them with expandable sections and better readability.
+                        Paste your Salesforce debug logs below, or drop .log / .txt files here, to format them with expandable sections and better readability.
                     </p>
 
+                    {(tabs.length > 1 || activeTab.id !== 0) && (
+                        <div className="flex flex-wrap gap-1 border-b mb-4">
+                            {tabs.map(tab => (
+                                <div
+                                    key={tab.id}
+                                    className={`flex items-center gap-1 px-3 py-1 text-sm rounded-t cursor-pointer ${tab.id === activeTab.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                    onClick={() => setActiveTabId(tab.id)}
+                                >
+                                    <span className="max-w-xs truncate" title={tab.name}>{tab.name}</span>
+                                    <button
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            closeTab(tab.id);
+                                        }}
+                                        className="p-0.5 rounded hover:bg-black hover:bg-opacity-10"
+                                        title="Close tab"
+                                    >
+                                        <X size={12} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="mb-4">
                         <label className="block text-sm font-medium text-gray-700 mb-2">
                             Debug Log Input
@@ -521,11 +1004,75 @@ const SalesforceDebugFormatter = () => {
                     <div className="flex gap-3">
                         <button
                             onClick={formatLog}
-                            disabled={!inputLog.trim()}
+                            disabled={!inputLog.trim() || parseProgress !== null}
                             className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
                         >
-                            Format Log
+                            {parseProgress ? 'Parsing…' : 'Format Log'}
+                        </button>
+                        {parseProgress && (
+                            <div className="flex items-center gap-3">
+                                <div className="w-48 h-2 bg-gray-200 rounded overflow-hidden">
+                                    <div
+                                        className="h-full bg-blue-600"
+                                        style={{ width: `${parseProgress.total ? (parseProgress.done / parseProgress.total) * 100 : 0}%` }}
+                                    />
+                                </div>
+                                <span className="text-sm text-gray-600">
+                                    {parseProgress.done.toLocaleString()} / {parseProgress.total.toLocaleString()}
+                                </span>
+                                <button
+                                    onClick={() => cancelParsing()}
+                                    className="px-3 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 flex items-center gap-1"
+                                >
+                                    <X size={16} />
+                                    Cancel
+                                </button>
+                            </div>
+                        )}
+                        <button
+                            onClick={() => fileInputRef.current.click()}
+                            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 flex items-center gap-2"
+                        >
+                            <Upload size={16} />
+                            Open Files
+                        </button>
+                        <button
+                            onClick={addTab}
+                            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 flex items-center gap-2"
+                            title="Paste another log, e.g. to compare two runs"
+                        >
+                            <Plus size={16} />
+                            New Tab
                         </button>
+                        <button
+                            onClick={() => setShowSessions(!showSessions)}
+                            className={`px-4 py-2 border rounded-md flex items-center gap-2 ${showSessions ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                            title="Save, reopen and share workspaces"
+                        >
+                            <History size={16} />
+                            Sessions
+                        </button>
+                        <input
+                            ref={sessionFileInputRef}
+                            type="file"
+                            accept=".json"
+                            className="hidden"
+                            onChange={(e) => {
+                                if (e.target.files[0]) openSessionFile(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                        />
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".log,.txt"
+                            multiple
+                            className="hidden"
+                            onChange={(e) => {
+                                openFiles(e.target.files);
+                                e.target.value = '';
+                            }}
+                        />
                         <button
                             onClick={clearLogs}
                             className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 flex items-center gap-2"
@@ -534,29 +1081,235 @@ const SalesforceDebugFormatter = () => {
                             Clear
                         </button>
                     </div>
+                    {parseError && (
+                        <div className="mt-3 text-sm text-red-700">Could not parse this log: {parseError}</div>
+                    )}
+                    {redactionError && redaction.enabled && (
+                        <div className="mt-3 text-sm text-red-700">Could not redact this log: {redactionError}</div>
+                    )}
+                    {showSessions && (
+                        <div className="mt-4">
+                            <SessionPanel
+                                defaultName={activeTab.name.replace(LOG_FILE_PATTERN, '')}
+                                onSave={saveNamedSession}
+                                onOpen={openSavedSession}
+                                onSaveFile={saveSessionFile}
+                                onOpenFile={() => sessionFileInputRef.current.click()}
+                                error={sessionError}
+                                onError={setSessionError}
+                            />
+                        </div>
+                    )}
                 </div>
 
-                {parsedLogs.length > 0 && (
+                <LogSummary coverage={coverage} onSelectEntry={jumpToEntry} />
+
+                <LimitsPanel
+                    snapshots={limitSnapshots}
+                    expandedItems={expandedItems}
+                    toggleExpanded={toggleExpanded}
+                />
+
+                <ErrorsPanel
+                    errors={errors}
+                    entries={parsedLogs}
+                    expandedItems={expandedItems}
+                    toggleExpanded={toggleExpanded}
+                    onSelectEntry={jumpToEntry}
+                />
+
+                {rawLogs.length > 0 && (
                     <div className="bg-white rounded-lg shadow-lg p-6">
                         <div className="flex items-center justify-between mb-4">
-                            <h2 className="text-xl font-semibold text-gray-800">
-                                Formatted Logs ({parsedLogs.length} entries)
-                            </h2>
-                            <button
-                                onClick={() => setExpandedItems(new Set())}
-                                className="text-sm text-blue-600 hover:text-blue-800"
-                            >
-                                Collapse All
-                            </button>
-                        </div>
-
-                        <div className="space-y-4">
-                            {parsedLogs.map((logEntry) => (
-                                <div key={logEntry.id}>
-                                    {renderLogEntry(logEntry)}
+                            <div className="flex items-center gap-4">
+                                <h2 className="text-xl font-semibold text-gray-800">
+                                    Formatted Logs ({visibleLogs.length === parsedLogs.length
+                                        ? `${parsedLogs.length} entries`
+                                        : `${visibleLogs.length} of ${parsedLogs.length} entries`})
+                                </h2>
+                                <div className="flex rounded-md border overflow-hidden text-sm">
+                                    {[['entries', 'Entries'], ['tree', 'Call Tree'], ['timeline', 'Timeline'], ['queries', 'SOQL & DML'], ['saveOrder', 'Save Order'], ['callouts', 'Callouts'], ['automation', 'Automation'], ['variables', 'Variables'], ['profiling', 'Profiling'], ['compare', 'Compare']].map(([key, label]) => (
+                                        <button
+                                            key={key}
+                                            onClick={() => setView(key)}
+                                            className={`px-3 py-1 ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
                                 </div>
-                            ))}
+                            </div>
+                            <div className="flex items-center gap-3">
+                                <div className="flex items-center gap-1 text-sm text-gray-600">
+                                    <Download size={14} />
+                                    {[['json', 'JSON'], ['text', 'Text'], ['html', 'HTML']].map(([format, label]) => (
+                                        <button
+                                            key={format}
+                                            onClick={() => exportLog(format)}
+                                            className="px-2 py-1 border rounded hover:bg-gray-50"
+                                            title={`Export as ${label}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                                <button
+                                    onClick={() => setShowRedaction(!showRedaction)}
+                                    className={`px-2 py-1 border rounded text-sm flex items-center gap-1 ${redaction.enabled ? 'bg-green-50 border-green-300 text-green-800' : 'text-gray-600 hover:bg-gray-50'}`}
+                                    title="Mask emails, tokens, Ids and other sensitive values"
+                                >
+                                    <Shield size={14} />
+                                    {redaction.enabled ? (redacting ? 'Redacting…' : 'Redacted') : 'Redact'}
+                                </button>
+                                <select
+                                    value=""
+                                    onChange={(e) => expandToDepth(Number(e.target.value))}
+                                    className="text-sm border rounded px-1 py-1 text-gray-600"
+                                    title="Open nested values down to a depth; 1 opens just the entries"
+                                >
+                                    <option value="" disabled>Expand to depth…</option>
+                                    {EXPAND_DEPTHS.map(depth => (
+                                        <option key={depth} value={depth}>Depth {depth}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={() => expandToDepth(Infinity)}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                >
+                                    Expand All
+                                </button>
+                                <button
+                                    onClick={() => setExpandedItems(new Set())}
+                                    className="text-sm text-blue-600 hover:text-blue-800"
+                                >
+                                    Collapse All
+                                </button>
+                            </div>
                         </div>
+
+                        {showRedaction && (
+                            <RedactionPanel
+                                settings={redaction}
+                                onChange={setRedaction}
+                                summary={redactionPreview && redactionPreview.summary}
+                            />
+                        )}
+
+                        <FilterBar
+                            filters={filters}
+                            onChange={setFilters}
+                            facets={facets}
+                            matchCount={matchIds.length}
+                            activeMatch={activeMatch}
+                            onNextMatch={() => goToMatch(activeMatch + 1)}
+                            onPreviousMatch={() => goToMatch(activeMatch - 1)}
+                            invalidQuery={filters.query !== '' && !matcher}
+                            searchRef={searchRef}
+                        />
+
+                        {view === 'entries' && bookmarkedLogs.length > 0 && (
+                            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                                <Bookmark size={14} className="text-blue-600" />
+                                {bookmarkedLogs.map(logEntry => (
+                                    <button
+                                        key={logEntry.id}
+                                        onClick={() => jumpToEntry(logEntry.id)}
+                                        className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded hover:bg-blue-100 font-mono text-xs"
+                                        title={logEntry.original}
+                                    >
+                                        {logEntry.parsed.timestamp ? `${logEntry.parsed.timestamp} ${logEntry.parsed.logType}` : logEntry.original.substring(0, 40)}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {view === 'entries' && (
+                            <p className="text-xs text-gray-400 mb-2">
+                                j / k next and previous entry · ↑ ↓ move between nodes · → ← expand and collapse · * expand subtree · / search
+                            </p>
+                        )}
+
+                        {view === 'entries' && (
+                            <VirtualList
+                                ref={listRef}
+                                key={activeTab.id}
+                                items={visibleLogs}
+                                getKey={(logEntry) => logEntry.id}
+                                renderItem={(logEntry) => renderLogEntry(logEntry)}
+                            />
+                        )}
+
+                        {view === 'tree' && (
+                            <CallTree
+                                tree={analyses.callTree()}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                            />
+                        )}
+
+                        {view === 'timeline' && (
+                            <FlameGraph tree={analyses.callTree()} onSelectEntry={jumpToEntry} />
+                        )}
+
+                        {view === 'profiling' && (
+                            <ProfilingView profile={analyses.profile()} onSelectEntry={jumpToEntry} />
+                        )}
+
+                        {view === 'saveOrder' && (
+                            <SaveOrder
+                                operations={analyses.saveOrder()}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                                onSelectEntry={jumpToEntry}
+                            />
+                        )}
+
+                        {view === 'callouts' && (
+                            <CalloutInspector
+                                callouts={analyses.callouts()}
+                                total={analyses.callTree().root.duration || 0}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                                onSelectEntry={jumpToEntry}
+                            />
+                        )}
+
+                        {view === 'automation' && (
+                            <FlowView
+                                automation={analyses.automation()}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                                onSelectEntry={jumpToEntry}
+                            />
+                        )}
+
+                        {view === 'variables' && (
+                            <VariableWatch
+                                key={activeTab.id}
+                                execution={analyses.execution()}
+                                renderValue={renderCell}
+                                onSelectEntry={jumpToEntry}
+                            />
+                        )}
+
+                        {view === 'compare' && (
+                            <LogDiff
+                                tabs={tabs}
+                                prepareLogs={redactLogs}
+                                activeTabId={activeTab.id}
+                                renderValue={renderCell}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                            />
+                        )}
+
+                        {view === 'queries' && (
+                            <QueryAnalysis
+                                analysis={analyses.queries()}
+                                expandedItems={expandedItems}
+                                toggleExpanded={toggleExpanded}
+                            />
+                        )}
                     </div>
                 )}
             </div>
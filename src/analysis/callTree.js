@@ -0,0 +1,155 @@
+/**
+ * Builds an execution call tree from the paired BEGIN/END events of a parsed
+ * log (see `parseLog`). Every node carries inclusive and exclusive time in
+ * nanoseconds, computed from the `(nanoseconds)` field of each entry.
+ *
+ *   node { id, kind: 'root' | 'pair' | 'event', logType, label, entry,
+ *          endEntry, start, end, duration, selfTime, children, unmatched }
+ *
+ * `unmatched` is `'begin'` for a BEGIN that was never closed and `'end'` for
+ * an END without a BEGIN. Their durations are `null`.
+ */
+import { eventLabel } from '../parser/logEntry.js';
+
+export const EVENT_PAIRS = {
+    EXECUTION_STARTED: 'EXECUTION_FINISHED',
+    CODE_UNIT_STARTED: 'CODE_UNIT_FINISHED',
+    METHOD_ENTRY: 'METHOD_EXIT',
+    CONSTRUCTOR_ENTRY: 'CONSTRUCTOR_EXIT',
+    SYSTEM_METHOD_ENTRY: 'SYSTEM_METHOD_EXIT',
+    SYSTEM_CONSTRUCTOR_ENTRY: 'SYSTEM_CONSTRUCTOR_EXIT',
+    SOQL_EXECUTE_BEGIN: 'SOQL_EXECUTE_END',
+    SOSL_EXECUTE_BEGIN: 'SOSL_EXECUTE_END',
+    DML_BEGIN: 'DML_END',
+    CALLOUT_REQUEST: 'CALLOUT_RESPONSE',
+    FLOW_START_INTERVIEW_BEGIN: 'FLOW_START_INTERVIEW_END',
+    FLOW_ELEMENT_BEGIN: 'FLOW_ELEMENT_END',
+    WF_RULE_EVAL_BEGIN: 'WF_RULE_EVAL_END'
+};
+
+const END_TO_BEGIN = Object.fromEntries(
+    Object.entries(EVENT_PAIRS).map(([begin, end]) => [end, begin])
+);
+
+const toNanos = (entry) => Number(entry.parsed.executionTime);
+
+const createNode = (entry, kind) => ({
+    id: entry.id,
+    kind,
+    logType: entry.parsed.logType,
+    label: eventLabel(entry.parsed),
+    entry,
+    endEntry: null,
+    start: toNanos(entry),
+    end: null,
+    duration: null,
+    selfTime: null,
+    children: [],
+    unmatched: null
+});
+
+const closeNode = (node, endEntry) => {
+    node.endEntry = endEntry;
+    node.end = toNanos(endEntry);
+    node.duration = node.end - node.start;
+};
+
+// Exclusive time is the node's duration minus the time spent in timed children.
+const computeSelfTimes = (node) => {
+    node.children.forEach(computeSelfTimes);
+    if (node.duration === null) return;
+
+    const childTime = node.children.reduce(
+        (sum, child) => sum + (child.duration || 0), 0
+    );
+    node.selfTime = Math.max(0, node.duration - childTime);
+};
+
+export const buildCallTree = (entries) => {
+    const root = {
+        id: 'root',
+        kind: 'root',
+        logType: null,
+        label: 'Transaction',
+        entry: null,
+        endEntry: null,
+        start: null,
+        end: null,
+        duration: null,
+        selfTime: null,
+        children: [],
+        unmatched: null
+    };
+    const stack = [root];
+    const unmatched = [];
+
+    entries.forEach(entry => {
+        if (entry.parsed.type !== 'parsed') return;
+
+        const { logType } = entry.parsed;
+        const parent = stack[stack.length - 1];
+
+        if (EVENT_PAIRS[logType]) {
+            const node = createNode(entry, 'pair');
+            parent.children.push(node);
+            stack.push(node);
+            return;
+        }
+
+        const beginType = END_TO_BEGIN[logType];
+        if (!beginType) {
+            parent.children.push(createNode(entry, 'event'));
+            return;
+        }
+
+        let index = stack.length - 1;
+        while (index > 0 && stack[index].logType !== beginType) index--;
+
+        if (index === 0) {
+            const orphan = createNode(entry, 'event');
+            orphan.unmatched = 'end';
+            parent.children.push(orphan);
+            unmatched.push(orphan);
+            return;
+        }
+
+        // Anything opened above the matching BEGIN was never closed.
+        stack.splice(index + 1).forEach(node => {
+            node.unmatched = 'begin';
+            unmatched.push(node);
+        });
+        closeNode(stack.pop(), entry);
+    });
+
+    stack.slice(1).forEach(node => {
+        node.unmatched = 'begin';
+        unmatched.push(node);
+    });
+
+    const timed = entries.filter(entry => entry.parsed.type === 'parsed');
+    if (timed.length > 0) {
+        root.start = toNanos(timed[0]);
+        root.end = toNanos(timed[timed.length - 1]);
+        root.duration = root.end - root.start;
+    }
+    computeSelfTimes(root);
+
+    return { root, unmatched };
+};
+
+// Closed pair nodes in depth-first order with their depth below the root,
+// the shape a flame graph or timeline draws.
+export const flattenTimedNodes = (callTree) => {
+    const rows = [];
+
+    const walk = (node, depth) => {
+        node.children.forEach(child => {
+            if (child.kind !== 'pair') return;
+            if (child.duration !== null) rows.push({ node: child, depth });
+            walk(child, depth + 1);
+        });
+    };
+    walk(callTree.root, 0);
+
+    return rows;
+};
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { buildCallTree, flattenTimedNodes } from './callTree.js';
+
+const tree = (lines) => buildCallTree(parseLog(lines.join('\n')));
+
+const shape = (node) => node.children.map(child => (
+    child.children.length > 0 ? [child.logType, shape(child)] : child.logType
+));
+
+test('begin and end events pair into nodes with inclusive and self time', () => {
+    const { root, unmatched } = tree([
+        '12:00:00.001 (1000)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex',
+        '12:00:00.001 (2000)|METHOD_ENTRY|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (3000)|SOQL_EXECUTE_BEGIN|[4]|Aggregations:0|SELECT Id FROM Account',
+        '12:00:00.001 (7000)|SOQL_EXECUTE_END|[4]|Rows:1',
+        '12:00:00.001 (8000)|METHOD_EXIT|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (9000)|USER_DEBUG|[2]|DEBUG|done',
+        '12:00:00.001 (10000)|CODE_UNIT_FINISHED|execute_anonymous_apex'
+    ]);
+
+    assert.deepEqual(shape(root), [
+        ['CODE_UNIT_STARTED', [['METHOD_ENTRY', ['SOQL_EXECUTE_BEGIN']], 'USER_DEBUG']]
+    ]);
+    const [unit] = root.children;
+    const [method] = unit.children;
+    assert.deepEqual([unit.duration, unit.selfTime], [9000, 3000]);
+    assert.deepEqual([method.duration, method.selfTime], [6000, 2000]);
+    assert.equal(method.label, 'Foo.bar()');
+    assert.equal(root.duration, 9000);
+    assert.deepEqual(unmatched, []);
+    assert.deepEqual(flattenTimedNodes({ root }).map(({ node, depth }) => [node.logType, depth]), [
+        ['CODE_UNIT_STARTED', 0],
+        ['METHOD_ENTRY', 1],
+        ['SOQL_EXECUTE_BEGIN', 2]
+    ]);
+});
+
+test('unclosed begins and orphan ends are reported as unmatched', () => {
+    const { root, unmatched } = tree([
+        '12:00:00.001 (1000)|METHOD_EXIT|[1]|01p000000000001|Foo.before()',
+        '12:00:00.001 (2000)|CODE_UNIT_STARTED|[EXTERNAL]|execute_anonymous_apex',
+        '12:00:00.001 (3000)|METHOD_ENTRY|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (4000)|CODE_UNIT_FINISHED|execute_anonymous_apex'
+    ]);
+
+    assert.deepEqual(unmatched.map(node => [node.logType, node.unmatched]), [
+        ['METHOD_EXIT', 'end'],
+        ['METHOD_ENTRY', 'begin']
+    ]);
+    assert.equal(root.children[1].duration, 2000);
+    assert.equal(root.children[1].children[0].duration, null);
+});
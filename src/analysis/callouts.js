@@ -0,0 +1,81 @@
+/**
+ * HTTP callouts from CALLOUT_REQUEST / CALLOUT_RESPONSE pairs in the call
+ * tree (see `buildCallTree`), laid out like a browser network panel.
+ *
+ *   callout { id, entryId, endEntryId, line, method, endpoint, status,
+ *             statusCode, offset, duration, request, response,
+ *             requestBody, responseBody }
+ *   body    { entryId, payload }
+ *
+ * `request` / `response` are the `System.HttpRequest[...]` and
+ * `System.HttpResponse[...]` fields as a plain object, `offset` the start in
+ * nanoseconds from the beginning of the transaction. Bodies are not part of
+ * the callout events; they are taken from the nearest USER_DEBUG whose content
+ * parsed as a JSON or XML `payload` node, before the request or after the
+ * response.
+ */
+
+// How many entries to look through on either side of a callout for a body.
+const BODY_WINDOW = 10;
+
+const toFields = (entry) => {
+    const fields = {};
+    const value = entry && entry.parsed.parsedContent;
+    if (!value || !value.fields) return fields;
+
+    value.fields.forEach(field => {
+        if (field.type === 'keyValue' && field.value.type === 'text') {
+            fields[field.key] = field.value.value;
+        }
+    });
+    return fields;
+};
+
+const findBody = (entries, fromId, step, stopType) => {
+    for (let id = fromId + step, seen = 0; id >= 0 && id < entries.length && seen < BODY_WINDOW; id += step, seen++) {
+        const { parsed } = entries[id];
+        if (parsed.type !== 'parsed') continue;
+        if (parsed.logType === stopType) return null;
+        if (parsed.logType !== 'USER_DEBUG') continue;
+
+        if (parsed.parsedContent.type === 'payload') return { entryId: id, payload: parsed.parsedContent };
+    }
+    return null;
+};
+
+export const collectCallouts = (callTree, entries) => {
+    const callouts = [];
+    const origin = callTree.root.start || 0;
+
+    const walk = (node) => {
+        node.children.forEach(child => {
+            if (child.logType === 'CALLOUT_REQUEST') {
+                const request = toFields(child.entry);
+                const response = toFields(child.endEntry);
+
+                callouts.push({
+                    id: callouts.length,
+                    entryId: child.entry.id,
+                    endEntryId: child.endEntry ? child.endEntry.id : null,
+                    line: child.entry.parsed.lineNumber || null,
+                    method: request.Method || null,
+                    endpoint: request.Endpoint || child.label,
+                    status: response.Status || null,
+                    statusCode: response.StatusCode ? Number(response.StatusCode) : null,
+                    offset: child.start - origin,
+                    duration: child.duration,
+                    request,
+                    response,
+                    requestBody: findBody(entries, child.entry.id, -1, 'CALLOUT_RESPONSE'),
+                    responseBody: child.endEntry
+                        ? findBody(entries, child.endEntry.id, 1, 'CALLOUT_REQUEST')
+                        : null
+                });
+            }
+            walk(child);
+        });
+    };
+    walk(callTree.root);
+
+    return callouts;
+};
@@ -0,0 +1,213 @@
+/**
+ * Aligns two parsed logs by their sequence of significant events, ignoring
+ * timestamps and record Ids, and reports what differs.
+ *
+ *   row { type: 'equal' | 'changed' | 'removed' | 'added', left, right, changes }
+ *
+ * `left` / `right` are entries from `parseLog`; `changes` lists short
+ * descriptions for `changed` rows (row counts, debug and variable values).
+ */
+import { eventLabel } from '../parser/logEntry.js';
+import { isRecordId } from '../parser/values.js';
+import { normalizeQuery, fieldValue } from './queries.js';
+import { collectLimitUsage, peakLimitUsage } from './limits.js';
+
+// Beyond this many edits the tail is reported as removed + added wholesale.
+const MAX_EDIT_DISTANCE = 3000;
+
+const ID_TOKEN = /\b[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?\b/g;
+
+const maskIds = (text) => text.replace(ID_TOKEN, (token) => (isRecordId(token) ? '<id>' : token));
+
+// Events that make up the shape of a transaction, keyed so that two runs of
+// the same code produce the same keys.
+const SIGNATURES = {
+    CODE_UNIT_STARTED: (parsed) => maskIds(eventLabel(parsed)),
+    CODE_UNIT_FINISHED: (parsed) => maskIds(eventLabel(parsed)),
+    METHOD_ENTRY: (parsed) => eventLabel(parsed),
+    METHOD_EXIT: (parsed) => eventLabel(parsed),
+    SOQL_EXECUTE_BEGIN: (parsed) => normalizeQuery(parsed.content),
+    SOQL_EXECUTE_END: () => '',
+    DML_BEGIN: (parsed) => `${fieldValue(parsed, 'Op')} ${fieldValue(parsed, 'Type')}`,
+    DML_END: () => '',
+    CALLOUT_REQUEST: (parsed) => maskIds(parsed.content.split(',')[0]),
+    CALLOUT_RESPONSE: () => '',
+    USER_DEBUG: (parsed) => parsed.lineNumber || '',
+    VARIABLE_ASSIGNMENT: (parsed) => `${parsed.lineNumber || ''}|${parsed.level || ''}`,
+    EXCEPTION_THROWN: (parsed) => maskIds(parsed.content.split('\n')[0]),
+    FATAL_ERROR: (parsed) => maskIds(parsed.content.split('\n')[0])
+};
+
+export const alignableEntries = (entries) => entries
+    .filter(({ parsed }) => parsed.type === 'parsed' && SIGNATURES[parsed.logType])
+    .map(entry => ({
+        entry,
+        key: `${entry.parsed.logType}:${SIGNATURES[entry.parsed.logType](entry.parsed)}`
+    }));
+
+// Differences between two entries that share a signature.
+const compareEntries = (left, right) => {
+    const a = left.parsed;
+    const b = right.parsed;
+    const changes = [];
+
+    switch (a.logType) {
+        case 'SOQL_EXECUTE_END':
+        case 'DML_BEGIN': {
+            const before = fieldValue(a, 'Rows');
+            const after = fieldValue(b, 'Rows');
+            if (before !== after) changes.push(`rows ${before} → ${after}`);
+            break;
+        }
+        case 'USER_DEBUG':
+        case 'VARIABLE_ASSIGNMENT': {
+            if (maskIds(a.content) !== maskIds(b.content)) changes.push('value changed');
+            break;
+        }
+        case 'CALLOUT_RESPONSE': {
+            if (maskIds(a.content) !== maskIds(b.content)) changes.push('response changed');
+            break;
+        }
+        default:
+            break;
+    }
+
+    return changes;
+};
+
+/**
+ * Myers' O(ND) shortest edit script. Returns operations
+ * `{ type: 'equal', i, j }`, `{ type: 'removed', i }`, `{ type: 'added', j }`
+ * or null when the edit distance exceeds `maxDistance`.
+ */
+export const diffSequences = (a, b, maxDistance = MAX_EDIT_DISTANCE) => {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, maxDistance); d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) return backtrack(trace, n, m);
+        }
+    }
+
+    return null;
+};
+
+const backtrack = (trace, n, m) => {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const window = trace[d];
+        const at = (k) => window[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', i: x - 1, j: y - 1 });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: 'added', j: y - 1 });
+            else ops.push({ type: 'removed', i: x - 1 });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+};
+
+const diffLimits = (leftEntries, rightEntries) => {
+    const toMap = (entries) => {
+        const map = new Map();
+        peakLimitUsage(collectLimitUsage(entries)).forEach(({ namespace, limits }) => {
+            limits.forEach(limit => map.set(`${namespace}|${limit.name}`, limit.used));
+        });
+        return map;
+    };
+    const left = toMap(leftEntries);
+    const right = toMap(rightEntries);
+    const keys = new Set([...left.keys(), ...right.keys()]);
+
+    return Array.from(keys)
+        .map(key => {
+            const [namespace, name] = key.split('|');
+            return { namespace, name, left: left.get(key) ?? null, right: right.get(key) ?? null };
+        })
+        .filter(({ left: before, right: after }) => before !== after);
+};
+
+export const diffLogs = (leftEntries, rightEntries) => {
+    const left = alignableEntries(leftEntries);
+    const right = alignableEntries(rightEntries);
+
+    // Trim the common prefix and suffix before running the edit script.
+    let start = 0;
+    while (start < left.length && start < right.length && left[start].key === right[start].key) start++;
+    let leftEnd = left.length;
+    let rightEnd = right.length;
+    while (leftEnd > start && rightEnd > start && left[leftEnd - 1].key === right[rightEnd - 1].key) {
+        leftEnd--;
+        rightEnd--;
+    }
+
+    const leftKeys = left.slice(start, leftEnd).map(item => item.key);
+    const rightKeys = right.slice(start, rightEnd).map(item => item.key);
+    const middle = diffSequences(leftKeys, rightKeys) || [
+        ...leftKeys.map((key, i) => ({ type: 'removed', i })),
+        ...rightKeys.map((key, j) => ({ type: 'added', j }))
+    ];
+
+    const ops = [
+        ...Array.from({ length: start }, (_, i) => ({ type: 'equal', i, j: i })),
+        ...middle.map(op => ({
+            type: op.type,
+            i: op.type === 'added' ? null : op.i + start,
+            j: op.type === 'removed' ? null : op.j + start
+        })),
+        ...Array.from({ length: left.length - leftEnd }, (_, i) => ({
+            type: 'equal', i: leftEnd + i, j: rightEnd + i
+        }))
+    ];
+
+    const rows = ops.map(op => {
+        const leftEntry = op.type === 'added' ? null : left[op.i].entry;
+        const rightEntry = op.type === 'removed' ? null : right[op.j].entry;
+
+        if (op.type !== 'equal') {
+            return { type: op.type, left: leftEntry, right: rightEntry, changes: [] };
+        }
+        const changes = compareEntries(leftEntry, rightEntry);
+        return { type: changes.length > 0 ? 'changed' : 'equal', left: leftEntry, right: rightEntry, changes };
+    });
+
+    return {
+        rows,
+        limits: diffLimits(leftEntries, rightEntries),
+        summary: {
+            added: rows.filter(row => row.type === 'added').length,
+            removed: rows.filter(row => row.type === 'removed').length,
+            changed: rows.filter(row => row.type === 'changed').length
+        }
+    };
+};
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { diffLogs, diffSequences } from './diff.js';
+
+const run = (accountId, rows, debug) => parseLog([
+    `12:00:00.001 (1000000)|CODE_UNIT_STARTED|[EXTERNAL]|01q000000000001|AccountTrigger on Account trigger event BeforeUpdate for [${accountId}]`,
+    '12:00:00.002 (2000000)|SOQL_EXECUTE_BEGIN|[3]|Aggregations:0|SELECT Id FROM Contact WHERE AccountId = :accountId',
+    `12:00:00.003 (3000000)|SOQL_EXECUTE_END|[3]|Rows:${rows}`,
+    `12:00:00.004 (4000000)|USER_DEBUG|[5]|DEBUG|${debug}`,
+    `12:00:00.005 (5000000)|CODE_UNIT_FINISHED|AccountTrigger on Account trigger event BeforeUpdate for [${accountId}]`
+].join('\n'));
+
+const shape = (result) => result.rows.map(row => [row.type, (row.left || row.right).parsed.logType]);
+
+test('record Ids and timestamps do not break alignment', () => {
+    const result = diffLogs(
+        run('001000000000001AAA', 2, 'done 001000000000001AAA'),
+        run('001000000000002AAA', 2, 'done 001000000000002AAA')
+    );
+
+    assert.deepEqual(result.summary, { added: 0, removed: 0, changed: 0 });
+    assert.ok(result.rows.every(row => row.type === 'equal'));
+});
+
+test('words that only look like Ids are still compared', () => {
+    const result = diffLogs(run('001000000000001AAA', 2, 'state ab1deXghijklmno'), run('001000000000001AAA', 2, 'state ab1deXghijklmnp'));
+
+    assert.deepEqual(result.rows[3].changes, ['value changed']);
+});
+
+test('row counts and debug values are reported as changes', () => {
+    const result = diffLogs(run('001000000000001AAA', 2, 'ok'), run('001000000000001AAA', 0, 'failed'));
+
+    assert.deepEqual(result.rows.filter(row => row.type === 'changed').map(row => row.changes), [
+        ['rows 2 → 0'],
+        ['value changed']
+    ]);
+});
+
+test('inserted events are reported as added', () => {
+    const left = run('001000000000001AAA', 2, 'ok');
+    const right = parseLog([
+        ...left.map(entry => entry.original).slice(0, 4),
+        '12:00:00.004 (4500000)|DML_BEGIN|[6]|Op:Update|Type:Account|Rows:1',
+        '12:00:00.004 (4600000)|DML_END|[6]',
+        left[4].original
+    ].join('\n'));
+    const result = diffLogs(left, right);
+
+    assert.deepEqual(shape(result), [
+        ['equal', 'CODE_UNIT_STARTED'],
+        ['equal', 'SOQL_EXECUTE_BEGIN'],
+        ['equal', 'SOQL_EXECUTE_END'],
+        ['equal', 'USER_DEBUG'],
+        ['added', 'DML_BEGIN'],
+        ['added', 'DML_END'],
+        ['equal', 'CODE_UNIT_FINISHED']
+    ]);
+    assert.deepEqual(result.summary, { added: 2, removed: 0, changed: 0 });
+});
+
+test('diffSequences gives up beyond the edit limit', () => {
+    assert.deepEqual(diffSequences(['a', 'b'], ['a', 'c']), [
+        { type: 'equal', i: 0, j: 0 },
+        { type: 'removed', i: 1 },
+        { type: 'added', j: 1 }
+    ]);
+    assert.equal(diffSequences(['a', 'b'], ['c', 'd'], 1), null);
+});
@@ -0,0 +1,93 @@
+/**
+ * Collects exceptions and fatal errors with their Apex stack frames and the
+ * debug output that led up to them.
+ *
+ *   error { entryId, logType, message, frames, context }
+ *   frame { raw, kind, className, method, line, column, targetEntryId }
+ *
+ * `targetEntryId` is the most recent METHOD_ENTRY (or trigger code unit)
+ * matching the frame, `context` the ids of the last USER_DEBUG and
+ * VARIABLE_ASSIGNMENT entries before the error.
+ */
+import { eventLabel } from '../parser/logEntry.js';
+
+export const ERROR_TYPES = ['EXCEPTION_THROWN', 'FATAL_ERROR', 'VALIDATION_FAIL', 'FLOW_ELEMENT_ERROR'];
+
+const CONTEXT_TYPES = ['USER_DEBUG', 'VARIABLE_ASSIGNMENT'];
+const CONTEXT_SIZE = 5;
+
+// "Class.Foo.bar: line 12, column 1", "Trigger.AccountTrigger: line 5, column 1"
+const FRAME_PATTERN = /^\s*([\w.$<>]+): line (\d+), column (\d+)\s*$/;
+
+export const parseStackFrame = (text) => {
+    const match = text.match(FRAME_PATTERN);
+    if (!match) return null;
+
+    const [, path, line, column] = match;
+    const segments = path.split('.');
+    const kind = segments[0] === 'Class' || segments[0] === 'Trigger' ? segments.shift() : 'Other';
+    const method = kind === 'Class' && segments.length > 1 ? segments.pop() : null;
+
+    return {
+        raw: text.trim(),
+        kind,
+        className: segments.join('.'),
+        method,
+        line: Number(line),
+        column: Number(column)
+    };
+};
+
+// Splits error content into the message and any trailing stack frames.
+export const parseErrorContent = (content) => {
+    const messageLines = [];
+    const frames = [];
+
+    content.split('\n').forEach(line => {
+        const frame = parseStackFrame(line);
+        if (frame) frames.push(frame);
+        else if (line.trim() && frames.length === 0) messageLines.push(line.trim());
+    });
+
+    return { message: messageLines.join('\n'), frames };
+};
+
+const methodKey = (label) => label.replace(/\(.*$/, '').trim();
+
+export const collectErrors = (entries) => {
+    const errors = [];
+    const methods = new Map();
+    const codeUnits = new Map();
+    let recent = [];
+
+    entries.forEach(entry => {
+        const { parsed } = entry;
+        if (parsed.type !== 'parsed') return;
+
+        if (parsed.logType === 'METHOD_ENTRY') {
+            methods.set(methodKey(eventLabel(parsed)), entry.id);
+        } else if (parsed.logType === 'CODE_UNIT_STARTED') {
+            codeUnits.set(eventLabel(parsed).split(' ')[0], entry.id);
+        } else if (CONTEXT_TYPES.includes(parsed.logType)) {
+            recent = [...recent.slice(1 - CONTEXT_SIZE), entry.id];
+        }
+
+        if (!ERROR_TYPES.includes(parsed.logType)) return;
+
+        const { message, frames } = parseErrorContent(parsed.content);
+        errors.push({
+            entryId: entry.id,
+            logType: parsed.logType,
+            message: message || eventLabel(parsed),
+            frames: frames.map(frame => ({
+                ...frame,
+                targetEntryId: (frame.kind === 'Trigger'
+                    ? codeUnits.get(frame.className)
+                    : methods.get(`${frame.className}.${frame.method}`)) ?? null
+            })),
+            context: recent
+        });
+    });
+
+    return errors;
+};
@@ -0,0 +1,213 @@
+/**
+ * Facet filters and full-text search over parsed log entries.
+ *
+ *   filters { logTypes: Set, levels: Set, lineFrom, lineTo, timeFrom,
+ *             timeTo, query, regex }
+ *
+ * Empty facets and blank bounds don't filter. Timestamps are compared as
+ * strings, so a bound such as `12:01` covers every `12:01:xx.xxx`.
+ */
+import {
+    contentNodeId,
+    valueNodeId,
+    childNodeId,
+    fieldValueNodeId,
+    jsonNodeId,
+    jsonChildNodeId,
+    jsonChildren
+} from '../utils/nodeIds.js';
+import { LOG_LEVELS } from '../parser/header.js';
+
+export { LOG_LEVELS };
+
+export const EMPTY_FILTERS = {
+    logTypes: new Set(),
+    levels: new Set(),
+    lineFrom: '',
+    lineTo: '',
+    timeFrom: '',
+    timeTo: '',
+    query: '',
+    regex: false
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns null for an empty query or an invalid regular expression.
+export const createMatcher = (query, { regex = false } = {}) => {
+    if (!query) return null;
+    try {
+        return new RegExp(regex ? query : escapeRegExp(query), 'gi');
+    } catch (e) {
+        return null;
+    }
+};
+
+export const testMatcher = (matcher, text) => {
+    if (!matcher || text === null || text === undefined) return false;
+    matcher.lastIndex = 0;
+    return matcher.test(String(text));
+};
+
+/**
+ * Walks an entry's parsed content and returns the ids of every collapsible
+ * node that has to be open to reveal a match, or null when nothing matches.
+ */
+export const collectMatchPaths = (entry, matcher) => {
+    const { parsed } = entry;
+    const expandIds = [];
+
+    const visitField = (field, fieldId) => {
+        if (field.type === 'keyValue') {
+            const valueHit = visit(field.value, fieldValueNodeId(fieldId));
+            return testMatcher(matcher, field.key) || valueHit;
+        }
+        return testMatcher(matcher, field.content);
+    };
+
+    const visitJson = (data, parentId) => {
+        const id = jsonNodeId(data, parentId);
+        if (!id) return testMatcher(matcher, JSON.stringify(data));
+
+        let childHit = false;
+        jsonChildren(data).forEach(([key, child], index) => {
+            const valueHit = visitJson(child, jsonChildNodeId(id, data, index));
+            if ((!Array.isArray(data) && testMatcher(matcher, key)) || valueHit) childHit = true;
+        });
+        if (childHit) expandIds.push(id);
+        return childHit;
+    };
+
+    const visit = (value, parentId) => {
+        if (!value) return false;
+
+        const id = valueNodeId(value, parentId);
+        let childHit = false;
+
+        switch (value.type) {
+            case 'object':
+            case 'complex':
+                value.fields.forEach((field, index) => {
+                    if (visitField(field, childNodeId(id, value, index))) childHit = true;
+                });
+                break;
+            case 'keyValueList':
+                value.pairs.forEach((pair, index) => {
+                    if (visitField(pair, childNodeId(id, value, index))) childHit = true;
+                });
+                break;
+            case 'map':
+                value.entries.forEach((entry, index) => {
+                    const valueHit = visit(entry.value, childNodeId(id, value, index));
+                    if (testMatcher(matcher, entry.key) || valueHit) childHit = true;
+                });
+                break;
+            case 'array':
+            case 'set':
+                value.items.forEach((item, index) => {
+                    if (visit(item, childNodeId(id, value, index))) childHit = true;
+                });
+                break;
+            case 'payload':
+                childHit = value.format === 'json' ? visitJson(value.data, id) : testMatcher(matcher, value.text);
+                break;
+            case 'limitUsage':
+                return testMatcher(matcher, value.namespace)
+                    || value.limits.some(limit => testMatcher(matcher, limit.name));
+            case 'profiling':
+                return testMatcher(matcher, value.section)
+                    || value.rows.some(row => testMatcher(matcher, row.location) || testMatcher(matcher, row.statement));
+            default:
+                return testMatcher(matcher, value.value);
+        }
+
+        if (childHit) expandIds.push(id);
+        return childHit || testMatcher(matcher, value.name) || testMatcher(matcher, value.label);
+    };
+
+    if (parsed.type !== 'parsed') {
+        return testMatcher(matcher, parsed.content) ? expandIds : null;
+    }
+
+    if (visit(parsed.parsedContent, contentNodeId(entry.id))) {
+        expandIds.push(contentNodeId(entry.id));
+        return expandIds;
+    }
+    return testMatcher(matcher, entry.original) ? expandIds : null;
+};
+
+const hasFacetFilters = (filters) => (
+    filters.logTypes.size > 0 || filters.levels.size > 0
+    || filters.lineFrom !== '' || filters.lineTo !== ''
+    || filters.timeFrom !== '' || filters.timeTo !== ''
+);
+
+const passesFacets = (parsed, filters) => {
+    if (parsed.type !== 'parsed') return false;
+    if (filters.logTypes.size > 0 && !filters.logTypes.has(parsed.logType)) return false;
+    // Only events that carry a log level are narrowed by the level facet, so
+    // picking DEBUG still shows EXCEPTION_THROWN and other level-less events.
+    if (filters.levels.size > 0 && LOG_LEVELS.includes(parsed.level) && !filters.levels.has(parsed.level)) return false;
+
+    if (filters.lineFrom !== '' || filters.lineTo !== '') {
+        const line = Number(parsed.lineNumber);
+        if (!parsed.lineNumber) return false;
+        if (filters.lineFrom !== '' && line < Number(filters.lineFrom)) return false;
+        if (filters.lineTo !== '' && line > Number(filters.lineTo)) return false;
+    }
+
+    if (filters.timeFrom && parsed.timestamp < filters.timeFrom) return false;
+    if (filters.timeTo && parsed.timestamp.slice(0, filters.timeTo.length) > filters.timeTo) return false;
+
+    return true;
+};
+
+/**
+ * Applies facets and search. Returns the visible entries plus, when a search
+ * is active, the matching entry ids in order and the node ids to expand.
+ */
+export const filterEntries = (entries, filters) => {
+    const matcher = createMatcher(filters.query, { regex: filters.regex });
+    const facetsActive = hasFacetFilters(filters);
+
+    if (!facetsActive && !matcher) {
+        return { entries, matchIds: [], expandIds: [] };
+    }
+
+    const visible = [];
+    const matchIds = [];
+    const expandIds = [];
+
+    entries.forEach(entry => {
+        if (facetsActive && !passesFacets(entry.parsed, filters)) return;
+
+        if (matcher) {
+            const paths = collectMatchPaths(entry, matcher);
+            if (!paths) return;
+            matchIds.push(entry.id);
+            expandIds.push(...paths);
+        }
+        visible.push(entry);
+    });
+
+    return { entries: visible, matchIds, expandIds };
+};
+
+// Occurrences of each facet value, for the filter bar.
+export const collectFacets = (entries) => {
+    const logTypes = new Map();
+    const levels = new Map();
+
+    entries.forEach(({ parsed }) => {
+        if (parsed.type !== 'parsed') return;
+        logTypes.set(parsed.logType, (logTypes.get(parsed.logType) || 0) + 1);
+        if (LOG_LEVELS.includes(parsed.level)) {
+            levels.set(parsed.level, (levels.get(parsed.level) || 0) + 1);
+        }
+    });
+
+    return {
+        logTypes: Array.from(logTypes).sort((a, b) => b[1] - a[1]),
+        levels: LOG_LEVELS.filter(level => levels.has(level)).map(level => [level, levels.get(level)])
+    };
+};
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseLog } from '../parser/index.js';
+import { EMPTY_FILTERS, filterEntries } from './filter.js';
+
+const fixture = (name) => parseLog(readFileSync(new URL(`../parser/__fixtures__/${name}`, import.meta.url), 'utf8'));
+
+const logTypes = (result) => result.entries.map(entry => entry.parsed.logType);
+
+const LOG = [
+    '12:00:00.001 (1000000)|USER_DEBUG|[2]|DEBUG|first',
+    '12:00:00.002 (2000000)|USER_DEBUG|[3]|INFO|second',
+    '12:00:00.003 (3000000)|EXCEPTION_THROWN|[4]|System.NullPointerException: Attempt to de-reference a null object',
+    '12:00:00.004 (4000000)|STATEMENT_EXECUTE|[5]'
+].join('\n');
+
+test('no filters return the entries untouched', () => {
+    const entries = parseLog(LOG);
+
+    assert.equal(filterEntries(entries, EMPTY_FILTERS).entries, entries);
+});
+
+test('the level facet only narrows events that have a level', () => {
+    const result = filterEntries(parseLog(LOG), {
+        ...EMPTY_FILTERS,
+        logTypes: new Set(['USER_DEBUG', 'EXCEPTION_THROWN']),
+        levels: new Set(['DEBUG'])
+    });
+
+    assert.deepEqual(logTypes(result), ['USER_DEBUG', 'EXCEPTION_THROWN']);
+    assert.equal(result.entries[0].parsed.content, 'first');
+});
+
+test('line and time bounds', () => {
+    const entries = parseLog(LOG);
+
+    assert.deepEqual(logTypes(filterEntries(entries, { ...EMPTY_FILTERS, lineFrom: '3', lineTo: '4' })), ['USER_DEBUG', 'EXCEPTION_THROWN']);
+    assert.deepEqual(logTypes(filterEntries(entries, { ...EMPTY_FILTERS, timeFrom: '12:00:00.003' })), ['EXCEPTION_THROWN', 'STATEMENT_EXECUTE']);
+});
+
+test('search lists matching entries and the nodes that reveal each match', () => {
+    const result = filterEntries(fixture('anonymous-apex.log'), { ...EMPTY_FILTERS, query: 'Globex' });
+
+    assert.deepEqual(result.matchIds, [10, 12]);
+    assert.deepEqual(logTypes(result), ['VARIABLE_ASSIGNMENT', 'USER_DEBUG']);
+    assert.ok(result.expandIds.includes('log-10-content-payload'));
+    assert.ok(result.expandIds.includes('log-12-content-array-item-1-obj'));
+});
+
+test('an invalid regular expression does not filter', () => {
+    const entries = parseLog(LOG);
+
+    assert.equal(filterEntries(entries, { ...EMPTY_FILTERS, query: '(', regex: true }).entries, entries);
+});
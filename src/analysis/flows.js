@@ -0,0 +1,248 @@
+/**
+ * Groups declarative automation events (Flow, Process Builder and workflow
+ * rules) into the interviews and evaluations they belong to.
+ *
+ *   interview  { id, entryId, flowName, kind: 'flow' | 'process', start,
+ *                duration, elements, assignments, errors }
+ *   element    { entryId, bulk, elementType, name, start, duration, rules,
+ *                outcome, assignments, records }
+ *   assignment { entryId, name, operator, value }
+ *   rule       { entryId, name, result }
+ *   workflow   { entryId, kind, rules, actions }
+ *   wfRule     { entryId, record, name, met, actions }
+ *
+ * Per-interview events carry the interview id as their first field. Bulk
+ * elements run once for a batch of interviews and carry no id, so they are
+ * attached to the interview that was active when they started.
+ */
+import { splitFields } from '../parser/logEntry.js';
+
+// Process Builder compiles to a flow whose decisions are named like this.
+const PROCESS_ELEMENT_PATTERN = /^my(?:Decision|Rule_\d+)/;
+
+const toNanos = (parsed) => Number(parsed.executionTime);
+
+// Everything after the first `count` pipe-separated fields, keeping any pipes
+// or newlines inside the remainder (flow variables often hold both).
+const fieldsAfter = (parsed, count) => {
+    const text = [parsed.level, parsed.content].filter(value => value !== undefined && value !== null).join('|');
+    let index = 0;
+    for (let i = 0; i < count; i++) {
+        const next = text.indexOf('|', index);
+        if (next === -1) return '';
+        index = next + 1;
+    }
+    return text.substring(index).trim();
+};
+
+const toCount = (value) => (value !== undefined && /^\d+$/.test(value) ? Number(value) : null);
+
+const createInterview = (id, flowName, entry) => ({
+    id,
+    entryId: entry ? entry.id : null,
+    flowName: flowName || null,
+    kind: 'flow',
+    start: entry ? toNanos(entry.parsed) : null,
+    duration: null,
+    elements: [],
+    assignments: [],
+    errors: []
+});
+
+const createElement = (entry, elementType, name, bulk) => ({
+    entryId: entry.id,
+    bulk,
+    elementType,
+    name,
+    start: toNanos(entry.parsed),
+    duration: null,
+    rules: [],
+    outcome: null,
+    assignments: [],
+    records: null
+});
+
+// A decision takes the first rule that evaluated to true, or its default path.
+const decideOutcome = (element) => {
+    if (element.rules.length === 0) return null;
+    const taken = element.rules.find(rule => rule.result === true);
+    return taken ? taken.name : 'Default outcome';
+};
+
+const toBoolean = (value) => {
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+    return null;
+};
+
+export const collectAutomation = (entries) => {
+    const interviews = new Map();
+    const workflows = [];
+    let activeInterview = null;
+    let bulkElement = null;
+    let workflow = null;
+
+    const interviewFor = (id) => {
+        if (!interviews.has(id)) interviews.set(id, createInterview(id, null, null));
+        return interviews.get(id);
+    };
+
+    const openElement = (interview) => {
+        const last = interview.elements[interview.elements.length - 1];
+        return last && last.duration === null && !last.bulk ? last : null;
+    };
+
+    // Rule and assignment details go to the open element if there is one.
+    const detailTarget = (interviewId) => {
+        if (bulkElement) return bulkElement;
+        const interview = interviewFor(interviewId);
+        return openElement(interview) || interview;
+    };
+
+    entries.forEach(entry => {
+        const { parsed } = entry;
+        if (parsed.type !== 'parsed') return;
+
+        const fields = splitFields(parsed);
+
+        switch (parsed.logType) {
+            case 'FLOW_CREATE_INTERVIEW_END': {
+                // FLOW_CREATE_INTERVIEW_END|interviewId|Flow Name
+                const interview = interviewFor(fields[0]);
+                interview.flowName = interview.flowName || fields[1] || null;
+                break;
+            }
+            case 'FLOW_START_INTERVIEW_BEGIN': {
+                // FLOW_START_INTERVIEW_BEGIN|interviewId|Flow Name
+                const interview = interviewFor(fields[0]);
+                interview.entryId = entry.id;
+                interview.flowName = fields[1] || interview.flowName;
+                interview.start = toNanos(parsed);
+                activeInterview = interview;
+                break;
+            }
+            case 'FLOW_START_INTERVIEW_END': {
+                const interview = interviewFor(fields[0]);
+                if (interview.start !== null) interview.duration = toNanos(parsed) - interview.start;
+                break;
+            }
+            case 'FLOW_ELEMENT_BEGIN': {
+                // FLOW_ELEMENT_BEGIN|interviewId|FlowDecision|Element_Name
+                const interview = interviewFor(fields[0]);
+                interview.elements.push(createElement(entry, fields[1] || null, fields[2] || fields[1] || '', false));
+                activeInterview = interview;
+                break;
+            }
+            case 'FLOW_ELEMENT_END': {
+                const element = openElement(interviewFor(fields[0]));
+                if (element) {
+                    element.duration = toNanos(parsed) - element.start;
+                    element.outcome = decideOutcome(element);
+                }
+                break;
+            }
+            case 'FLOW_RULE_DETAIL': {
+                // FLOW_RULE_DETAIL|interviewId|Rule_Name|true
+                const target = detailTarget(fields[0]);
+                if (target.rules) {
+                    target.rules.push({ entryId: entry.id, name: fields[1] || '', result: toBoolean(fields[2]) });
+                }
+                break;
+            }
+            case 'FLOW_VALUE_ASSIGNMENT': {
+                // FLOW_VALUE_ASSIGNMENT|interviewId|variable|value, often
+                // repeating the FLOW_ASSIGNMENT_DETAIL just before it.
+                const { assignments } = detailTarget(fields[0]);
+                const name = fields[1] || '';
+                const value = fieldsAfter(parsed, 2);
+                const previous = assignments[assignments.length - 1];
+                if (previous && previous.name === name && previous.value === value) break;
+                assignments.push({ entryId: entry.id, name, operator: null, value });
+                break;
+            }
+            case 'FLOW_ASSIGNMENT_DETAIL': {
+                // FLOW_ASSIGNMENT_DETAIL|interviewId|{!variable}|ASSIGN|value
+                detailTarget(fields[0]).assignments.push({
+                    entryId: entry.id,
+                    name: (fields[1] || '').replace(/^\{!(.*)\}$/, '$1'),
+                    operator: fields[2] || null,
+                    value: fieldsAfter(parsed, 3)
+                });
+                break;
+            }
+            case 'FLOW_BULK_ELEMENT_BEGIN': {
+                // FLOW_BULK_ELEMENT_BEGIN|FlowRecordUpdate|Element_Name
+                bulkElement = createElement(entry, fields[0] || null, fields[1] || fields[0] || '', true);
+                if (activeInterview) activeInterview.elements.push(bulkElement);
+                break;
+            }
+            case 'FLOW_BULK_ELEMENT_DETAIL': {
+                // FLOW_BULK_ELEMENT_DETAIL|FlowRecordUpdate|Element_Name|records
+                if (bulkElement && bulkElement.records === null) bulkElement.records = toCount(fields[2]);
+                break;
+            }
+            case 'FLOW_BULK_ELEMENT_END': {
+                // FLOW_BULK_ELEMENT_END|FlowRecordUpdate|Element_Name|records|ms
+                if (bulkElement) {
+                    bulkElement.duration = toNanos(parsed) - bulkElement.start;
+                    const records = toCount(fields[2]);
+                    if (records !== null) bulkElement.records = records;
+                    bulkElement.outcome = decideOutcome(bulkElement);
+                }
+                bulkElement = null;
+                break;
+            }
+            case 'FLOW_ELEMENT_ERROR': {
+                const interview = activeInterview || interviewFor(null);
+                interview.errors.push({ entryId: entry.id, message: fieldsAfter(parsed, 0) });
+                break;
+            }
+            case 'WF_RULE_EVAL_BEGIN': {
+                // WF_RULE_EVAL_BEGIN|Workflow (or Assignment, Escalation, ...)
+                workflow = { entryId: entry.id, kind: fields[0] || 'Workflow', rules: [], actions: [] };
+                workflows.push(workflow);
+                break;
+            }
+            case 'WF_RULE_EVAL_END':
+                workflow = null;
+                break;
+            case 'WF_CRITERIA_BEGIN': {
+                // WF_CRITERIA_BEGIN|[Account: Acme 001...]|Rule Name|01Q...|ON_ALL_CHANGES|0
+                if (!workflow) break;
+                workflow.rules.push({
+                    entryId: entry.id,
+                    record: (fields[0] || '').replace(/^\[(.*)\]$/, '$1'),
+                    name: fields[1] || '',
+                    met: null,
+                    actions: []
+                });
+                break;
+            }
+            case 'WF_CRITERIA_END':
+            case 'WF_RULE_NOT_EVALUATED': {
+                const rule = workflow && workflow.rules[workflow.rules.length - 1];
+                if (rule && rule.met === null) {
+                    rule.met = parsed.logType === 'WF_CRITERIA_END' ? toBoolean(fields[0]) : false;
+                }
+                break;
+            }
+            default:
+                if (workflow && /^WF_(?:ACTION|FIELD_UPDATE|EMAIL_ALERT|OUTBOUND_MSG|TASK|FLOW_ACTION_BEGIN|APPROVAL)/.test(parsed.logType)) {
+                    const action = { entryId: entry.id, logType: parsed.logType, text: fieldsAfter(parsed, 0) };
+                    const rule = workflow.rules[workflow.rules.length - 1];
+                    if (rule && rule.met) rule.actions.push(action);
+                    workflow.actions.push(action);
+                }
+        }
+    });
+
+    const flowInterviews = Array.from(interviews.values())
+        .filter(interview => interview.entryId !== null || interview.elements.length > 0 || interview.errors.length > 0);
+    flowInterviews.forEach(interview => {
+        if (interview.elements.some(element => PROCESS_ELEMENT_PATTERN.test(element.name))) {
+            interview.kind = 'process';
+        }
+    });
+
+    return { interviews: flowInterviews, workflows };
+};
@@ -0,0 +1,98 @@
+/**
+ * Collects the LIMIT_USAGE_FOR_NS blocks of a parsed log into snapshots
+ * keyed by namespace and by the code unit that emitted them.
+ *
+ *   snapshot { id, entryId, namespace, codeUnit, cumulative, limits }
+ *   limit    { name, used, max, closeToLimit, ratio, severity }
+ *
+ * `severity` is `'ok'`, `'warning'` (ratio above the limit's threshold or
+ * flagged CLOSE TO LIMIT by Salesforce) or `'critical'` (limit reached).
+ */
+import { eventLabel } from '../parser/logEntry.js';
+
+export const DEFAULT_WARNING_THRESHOLD = 0.9;
+
+// Limits that hurt earlier than the rest get a tighter threshold.
+export const LIMIT_THRESHOLDS = {
+    'Maximum CPU time': 0.8,
+    'Maximum heap size': 0.8,
+    'Number of query rows': 0.8,
+    'Number of DML statements': 0.8
+};
+
+const CRITICAL_THRESHOLD = 1;
+
+export const classifyLimit = (limit) => {
+    const ratio = limit.max > 0 ? limit.used / limit.max : 0;
+    const threshold = LIMIT_THRESHOLDS[limit.name] ?? DEFAULT_WARNING_THRESHOLD;
+
+    let severity = 'ok';
+    if (ratio >= CRITICAL_THRESHOLD) severity = 'critical';
+    else if (ratio > threshold || limit.closeToLimit) severity = 'warning';
+
+    return { ...limit, ratio, severity };
+};
+
+export const collectLimitUsage = (entries) => {
+    const snapshots = [];
+    const codeUnits = [];
+    let cumulative = false;
+
+    entries.forEach(entry => {
+        const { parsed } = entry;
+        if (parsed.type !== 'parsed') return;
+
+        switch (parsed.logType) {
+            case 'CODE_UNIT_STARTED':
+                codeUnits.push(eventLabel(parsed));
+                break;
+            case 'CODE_UNIT_FINISHED':
+                codeUnits.pop();
+                break;
+            case 'CUMULATIVE_LIMIT_USAGE':
+                cumulative = true;
+                break;
+            case 'CUMULATIVE_LIMIT_USAGE_END':
+                cumulative = false;
+                break;
+            case 'LIMIT_USAGE_FOR_NS':
+                snapshots.push({
+                    id: snapshots.length,
+                    entryId: entry.id,
+                    namespace: parsed.parsedContent.namespace,
+                    codeUnit: codeUnits[codeUnits.length - 1] || 'Transaction',
+                    cumulative,
+                    limits: parsed.parsedContent.limits.map(classifyLimit)
+                });
+                break;
+            default:
+                break;
+        }
+    });
+
+    return snapshots;
+};
+
+// Highest usage seen for each limit, per namespace.
+export const peakLimitUsage = (snapshots) => {
+    const byNamespace = new Map();
+
+    snapshots.forEach(snapshot => {
+        if (!byNamespace.has(snapshot.namespace)) {
+            byNamespace.set(snapshot.namespace, new Map());
+        }
+        const peaks = byNamespace.get(snapshot.namespace);
+
+        snapshot.limits.forEach(limit => {
+            const current = peaks.get(limit.name);
+            if (!current || limit.ratio > current.ratio) {
+                peaks.set(limit.name, limit);
+            }
+        });
+    });
+
+    return Array.from(byNamespace, ([namespace, peaks]) => ({
+        namespace,
+        limits: Array.from(peaks.values())
+    }));
+};
@@ -0,0 +1,66 @@
+/**
+ * Reads the debug-level header and truncation markers of a parsed log and
+ * explains which events cannot appear at the configured levels.
+ *
+ *   { header, skipped: [{ entryId, bytes }], truncated, warnings }
+ *   warning { category, required, actual, events, message }
+ */
+import { LOG_LEVELS } from '../parser/header.js';
+
+// The level each category needs before Salesforce emits these events.
+export const EVENT_LEVEL_REQUIREMENTS = [
+    { category: 'APEX_CODE', level: 'DEBUG', events: ['USER_DEBUG'], description: 'System.debug output' },
+    { category: 'APEX_CODE', level: 'FINE', events: ['METHOD_ENTRY', 'METHOD_EXIT'], description: 'Apex method entry and exit' },
+    { category: 'APEX_CODE', level: 'FINER', events: ['STATEMENT_EXECUTE'], description: 'executed statements' },
+    { category: 'APEX_CODE', level: 'FINEST', events: ['VARIABLE_ASSIGNMENT'], description: 'variable assignments' },
+    { category: 'APEX_PROFILING', level: 'INFO', events: ['LIMIT_USAGE_FOR_NS'], description: 'governor limit usage' },
+    { category: 'APEX_PROFILING', level: 'FINEST', events: ['CUMULATIVE_PROFILING'], description: 'cumulative profiling' },
+    { category: 'DB', level: 'INFO', events: ['SOQL_EXECUTE_BEGIN', 'DML_BEGIN'], description: 'SOQL queries and DML' },
+    { category: 'CALLOUT', level: 'INFO', events: ['CALLOUT_REQUEST', 'CALLOUT_RESPONSE'], description: 'HTTP callouts' },
+    { category: 'WORKFLOW', level: 'INFO', events: ['FLOW_START_INTERVIEW_BEGIN', 'WF_RULE_EVAL_BEGIN'], description: 'flows and workflow rules' },
+    { category: 'VALIDATION', level: 'INFO', events: ['VALIDATION_RULE', 'VALIDATION_FAIL'], description: 'validation rules' },
+    { category: 'SYSTEM', level: 'FINE', events: ['SYSTEM_METHOD_ENTRY'], description: 'system method calls' }
+];
+
+export const compareLevels = (a, b) => LOG_LEVELS.indexOf(a) - LOG_LEVELS.indexOf(b);
+
+// The `{ category, level }` that records an event type, or null if unlisted.
+export const requirementFor = (logType) => {
+    const requirement = EVENT_LEVEL_REQUIREMENTS.find(({ events }) => events.includes(logType));
+    return requirement ? { category: requirement.category, level: requirement.level } : null;
+};
+
+export const analyzeLogCoverage = (entries) => {
+    let header = null;
+    let truncated = false;
+    const skipped = [];
+    const seenTypes = new Set();
+
+    entries.forEach(({ id, parsed }) => {
+        if (parsed.type === 'parsed') {
+            seenTypes.add(parsed.logType);
+        } else if (parsed.type === 'meta') {
+            if (parsed.kind === 'header' && !header) header = parsed;
+            else if (parsed.kind === 'skipped') skipped.push({ entryId: id, bytes: parsed.bytes });
+            else if (parsed.kind === 'truncated') truncated = true;
+        }
+    });
+
+    // Only warn about events that are actually absent from the log.
+    const warnings = header
+        ? EVENT_LEVEL_REQUIREMENTS
+            .filter(({ category, level, events }) => {
+                const actual = header.levels[category] || 'NONE';
+                return compareLevels(actual, level) < 0 && !events.some(type => seenTypes.has(type));
+            })
+            .map(({ category, level, events, description }) => ({
+                category,
+                required: level,
+                actual: header.levels[category] || 'NONE',
+                events,
+                message: `No ${description}: ${category} is logged at ${header.levels[category] || 'NONE'}, needs ${level} or finer.`
+            }))
+        : [];
+
+    return { header, skipped, truncated, warnings };
+};
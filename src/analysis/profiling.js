@@ -0,0 +1,137 @@
+/**
+ * Apex profiling statistics per method and per line.
+ *
+ *   profile { cumulative, methods, lines }
+ *   section { entryId, section, rows: [{ location, line, column, statement,
+ *             count, time, average }] }
+ *   method  { name, count, total, self, average }
+ *   line    { key, method, line, count, total, self, average }
+ *
+ * `cumulative` holds the CUMULATIVE_PROFILING sections Salesforce writes at
+ * the end of logs with APEX_PROFILING at FINEST. `methods` and `lines` are
+ * computed from METHOD_ENTRY/EXIT and STATEMENT_EXECUTE events, so they are
+ * available without that block. All times are nanoseconds.
+ *
+ * A line's total runs from its STATEMENT_EXECUTE to the next statement in the
+ * same method, or to the method's exit, and includes anything it called. Its
+ * self time stops at the next statement or method boundary. Lines still
+ * running when the log ends, e.g. because it was truncated, stop at its last
+ * event. Recursive calls
+ * add to a total only from their outermost call, so a total never exceeds
+ * the time actually spent.
+ */
+import { eventLabel } from '../parser/logEntry.js';
+
+const FRAME_BEGIN_TYPES = ['CODE_UNIT_STARTED', 'METHOD_ENTRY', 'CONSTRUCTOR_ENTRY'];
+const FRAME_END_TYPES = ['CODE_UNIT_FINISHED', 'METHOD_EXIT', 'CONSTRUCTOR_EXIT'];
+const METHOD_TYPES = ['METHOD_ENTRY', 'CONSTRUCTOR_ENTRY'];
+
+const NANOS_PER_MS = 1e6;
+
+const withAverages = (stats) => Array.from(stats.values())
+    .map(stat => ({ ...stat, average: stat.total / stat.count }))
+    .sort((a, b) => b.total - a.total);
+
+const collectCumulative = (entries) => entries
+    .filter(entry => entry.parsed.type === 'parsed' && entry.parsed.parsedContent.type === 'profiling')
+    .map(entry => ({
+        entryId: entry.id,
+        section: entry.parsed.parsedContent.section,
+        rows: entry.parsed.parsedContent.rows.map(row => ({
+            ...row,
+            time: row.time * NANOS_PER_MS,
+            average: (row.time * NANOS_PER_MS) / row.count
+        }))
+    }));
+
+const collectMethodStats = (callTree) => {
+    const stats = new Map();
+    const active = new Map();
+
+    const walk = (node) => {
+        const timed = METHOD_TYPES.includes(node.logType) && node.duration !== null;
+
+        if (timed) {
+            if (!stats.has(node.label)) {
+                stats.set(node.label, { name: node.label, count: 0, total: 0, self: 0 });
+            }
+            const stat = stats.get(node.label);
+            stat.count++;
+            stat.self += node.selfTime;
+            if (!active.get(node.label)) stat.total += node.duration;
+            active.set(node.label, (active.get(node.label) || 0) + 1);
+        }
+
+        node.children.forEach(walk);
+        if (timed) active.set(node.label, active.get(node.label) - 1);
+    };
+    walk(callTree.root);
+
+    return withAverages(stats);
+};
+
+const collectLineStats = (entries) => {
+    const stats = new Map();
+    const open = new Map();
+    const frames = [{ name: 'Transaction', current: null }];
+    let running = null;
+    let lastTime = null;
+
+    const stopSelf = (time) => {
+        if (running) running.stat.self += time - running.start;
+        running = null;
+    };
+
+    const stopTotal = (frame, time) => {
+        if (!frame.current) return;
+        const { stat, start } = frame.current;
+        const depth = open.get(stat.key);
+        if (depth === 1) stat.total += time - start;
+        open.set(stat.key, depth - 1);
+        frame.current = null;
+    };
+
+    entries.forEach(entry => {
+        const { parsed } = entry;
+        if (parsed.type !== 'parsed') return;
+
+        const time = Number(parsed.executionTime);
+        const frame = frames[frames.length - 1];
+        lastTime = time;
+
+        if (FRAME_BEGIN_TYPES.includes(parsed.logType)) {
+            stopSelf(time);
+            frames.push({ name: eventLabel(parsed), current: null });
+        } else if (FRAME_END_TYPES.includes(parsed.logType) && frames.length > 1) {
+            stopSelf(time);
+            stopTotal(frame, time);
+            frames.pop();
+        } else if (parsed.logType === 'STATEMENT_EXECUTE' && parsed.lineNumber) {
+            stopSelf(time);
+            stopTotal(frame, time);
+
+            const key = `${frame.name}:${parsed.lineNumber}`;
+            if (!stats.has(key)) {
+                stats.set(key, { key, method: frame.name, line: Number(parsed.lineNumber), count: 0, total: 0, self: 0 });
+            }
+            const stat = stats.get(key);
+            stat.count++;
+            open.set(key, (open.get(key) || 0) + 1);
+            frame.current = { stat, start: time };
+            running = frame.current;
+        }
+    });
+
+    if (lastTime !== null) {
+        stopSelf(lastTime);
+        frames.slice().reverse().forEach(frame => stopTotal(frame, lastTime));
+    }
+
+    return withAverages(stats);
+};
+
+export const analyzeProfiling = (entries, callTree) => ({
+    cumulative: collectCumulative(entries),
+    methods: collectMethodStats(callTree),
+    lines: collectLineStats(entries)
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { buildCallTree } from './callTree.js';
+import { analyzeProfiling } from './profiling.js';
+
+const profile = (lines) => {
+    const entries = parseLog(lines.join('\n'));
+    return analyzeProfiling(entries, buildCallTree(entries));
+};
+
+const lineStats = (result) => Object.fromEntries(
+    result.lines.map(({ key, count, total, self }) => [key, { count, total, self }])
+);
+
+test('line totals include calls and self time stops at them', () => {
+    const result = profile([
+        '12:00:00.001 (1000)|STATEMENT_EXECUTE|[1]',
+        '12:00:00.001 (2000)|METHOD_ENTRY|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (2500)|STATEMENT_EXECUTE|[8]',
+        '12:00:00.001 (6000)|METHOD_EXIT|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (7000)|STATEMENT_EXECUTE|[2]',
+        '12:00:00.001 (9000)|STATEMENT_EXECUTE|[3]'
+    ]);
+
+    assert.deepEqual(lineStats(result), {
+        'Transaction:1': { count: 1, total: 6000, self: 1000 },
+        'Foo.bar():8': { count: 1, total: 3500, self: 3500 },
+        'Transaction:2': { count: 1, total: 2000, self: 2000 },
+        'Transaction:3': { count: 1, total: 0, self: 0 }
+    });
+    assert.deepEqual(result.methods.map(({ name, count, total }) => [name, count, total]), [['Foo.bar()', 1, 4000]]);
+});
+
+test('lines still running in a truncated log stop at its last event', () => {
+    const result = profile([
+        '12:00:00.001 (1000)|METHOD_ENTRY|[1]|01p000000000001|Foo.bar()',
+        '12:00:00.001 (2000)|STATEMENT_EXECUTE|[5]',
+        '12:00:00.001 (3000)|STATEMENT_EXECUTE|[6]',
+        '12:00:00.001 (10000)|USER_DEBUG|[6]|DEBUG|last words',
+        '*********** MAXIMUM DEBUG LOG SIZE REACHED ***********'
+    ]);
+
+    assert.deepEqual(lineStats(result), {
+        'Foo.bar():5': { count: 1, total: 1000, self: 1000 },
+        'Foo.bar():6': { count: 1, total: 7000, self: 7000 }
+    });
+});
+
+test('recursive lines count their time once', () => {
+    const result = profile([
+        '12:00:00.001 (1000)|METHOD_ENTRY|[1]|01p000000000001|Foo.walk()',
+        '12:00:00.001 (2000)|STATEMENT_EXECUTE|[4]',
+        '12:00:00.001 (3000)|METHOD_ENTRY|[4]|01p000000000001|Foo.walk()',
+        '12:00:00.001 (4000)|STATEMENT_EXECUTE|[4]',
+        '12:00:00.001 (5000)|METHOD_EXIT|[4]|01p000000000001|Foo.walk()',
+        '12:00:00.001 (8000)|METHOD_EXIT|[1]|01p000000000001|Foo.walk()'
+    ]);
+
+    assert.deepEqual(lineStats(result)['Foo.walk():4'], { count: 2, total: 6000, self: 2000 });
+    assert.deepEqual(result.methods.map(({ count, total }) => [count, total]), [[2, 7000]]);
+});
@@ -0,0 +1,122 @@
+/**
+ * SOQL and DML analysis on top of the call tree (see `buildCallTree`).
+ *
+ *   query { id, entryId, line, query, shape, rows, duration, context }
+ *   dml   { id, entryId, line, operation, objectType, rows, duration, context }
+ *   group { shape, count, rows, duration, lines, executions, suspectedNPlusOne }
+ *
+ * `shape` is the query text with literals and bind variables replaced by `?`,
+ * so the same statement with different binds lands in the same group.
+ */
+import { splitFields } from '../parser/logEntry.js';
+
+// A shape executed this many times from one line is most likely in a loop.
+export const N_PLUS_ONE_THRESHOLD = 3;
+
+const CONTEXT_TYPES = ['METHOD_ENTRY', 'CONSTRUCTOR_ENTRY', 'CODE_UNIT_STARTED'];
+
+export const normalizeQuery = (query) => query
+    .replace(/'(?:[^'\\]|\\.)*'/g, '?')
+    .replace(/:\s*[A-Za-z_][\w.]*(?:\(\))?/g, ':?')
+    .replace(/\b\d+(?:\.\d+)?\b/g, '?')
+    .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '(?)')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Reads `Name:value` fields such as `Rows:3` or `Op:Update`.
+export const fieldValue = (parsed, name) => {
+    const field = splitFields(parsed).find(value => value.startsWith(`${name}:`));
+    return field ? field.substring(name.length + 1) : null;
+};
+
+const toCount = (value) => (value === null ? null : Number(value));
+
+const toQuery = (node, context, id) => {
+    const { parsed } = node.entry;
+    const query = parsed.content.replace(/\s+/g, ' ').trim();
+
+    return {
+        id,
+        entryId: node.entry.id,
+        line: parsed.lineNumber || null,
+        query,
+        shape: normalizeQuery(query),
+        rows: node.endEntry ? toCount(fieldValue(node.endEntry.parsed, 'Rows')) : null,
+        duration: node.duration,
+        context
+    };
+};
+
+const toDml = (node, context, id) => {
+    const { parsed } = node.entry;
+
+    return {
+        id,
+        entryId: node.entry.id,
+        line: parsed.lineNumber || null,
+        operation: fieldValue(parsed, 'Op'),
+        objectType: fieldValue(parsed, 'Type'),
+        rows: toCount(fieldValue(parsed, 'Rows')),
+        duration: node.duration,
+        context
+    };
+};
+
+const groupQueries = (queries) => {
+    const groups = new Map();
+
+    queries.forEach(query => {
+        if (!groups.has(query.shape)) {
+            groups.set(query.shape, {
+                shape: query.shape,
+                count: 0,
+                rows: 0,
+                duration: 0,
+                lines: [],
+                executions: [],
+                suspectedNPlusOne: false
+            });
+        }
+        const group = groups.get(query.shape);
+        group.count++;
+        group.rows += query.rows || 0;
+        group.duration += query.duration || 0;
+        group.executions.push(query);
+        if (query.line && !group.lines.includes(query.line)) group.lines.push(query.line);
+    });
+
+    groups.forEach(group => {
+        const perLine = {};
+        group.executions.forEach(({ line }) => {
+            if (line) perLine[line] = (perLine[line] || 0) + 1;
+        });
+        group.suspectedNPlusOne = Object.values(perLine)
+            .some(count => count >= N_PLUS_ONE_THRESHOLD);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+};
+
+export const analyzeQueries = (callTree) => {
+    const queries = [];
+    const dmls = [];
+
+    const walk = (node, context) => {
+        const nextContext = CONTEXT_TYPES.includes(node.logType) ? node.label : context;
+
+        if (node.logType === 'SOQL_EXECUTE_BEGIN') {
+            queries.push(toQuery(node, context, queries.length));
+        } else if (node.logType === 'DML_BEGIN') {
+            dmls.push(toDml(node, context, dmls.length));
+        }
+
+        node.children.forEach(child => walk(child, nextContext));
+    };
+    walk(callTree.root, null);
+
+    return {
+        queries,
+        dmls,
+        groups: groupQueries(queries)
+    };
+};
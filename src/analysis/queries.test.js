@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { buildCallTree } from './callTree.js';
+import { analyzeQueries, normalizeQuery } from './queries.js';
+
+const analyze = (lines) => analyzeQueries(buildCallTree(parseLog(lines.join('\n'))));
+
+const soql = (time, line, query, rows) => [
+    `12:00:00.${time} (${time}000000)|SOQL_EXECUTE_BEGIN|[${line}]|Aggregations:0|${query}`,
+    `12:00:00.${time} (${time}500000)|SOQL_EXECUTE_END|[${line}]|Rows:${rows}`
+];
+
+test('bind variables and literals normalise to the same shape', () => {
+    assert.equal(
+        normalizeQuery("SELECT Id FROM Contact WHERE AccountId = :acc.Id AND Name = 'Doe' LIMIT 10"),
+        'SELECT Id FROM Contact WHERE AccountId = :? AND Name = ? LIMIT ?'
+    );
+    assert.equal(normalizeQuery('SELECT Id FROM Account WHERE Id IN (1, 2, 3)'), 'SELECT Id FROM Account WHERE Id IN (?)');
+});
+
+test('begin and end pair into one query with its row count', () => {
+    const { queries } = analyze(soql('100', 4, 'SELECT Id FROM Account', 7));
+
+    assert.equal(queries.length, 1);
+    assert.equal(queries[0].line, '4');
+    assert.equal(queries[0].rows, 7);
+});
+
+test('a shape run N_PLUS_ONE_THRESHOLD times from one line is flagged', () => {
+    const { groups } = analyze([
+        ...soql('100', 5, "SELECT Id FROM Contact WHERE AccountId = '001A'", 1),
+        ...soql('200', 5, "SELECT Id FROM Contact WHERE AccountId = '001B'", 2),
+        ...soql('300', 5, "SELECT Id FROM Contact WHERE AccountId = '001C'", 0),
+        ...soql('400', 9, 'SELECT Id FROM Case', 4),
+        ...soql('500', 12, 'SELECT Id FROM Case', 4)
+    ]);
+
+    assert.deepEqual(groups.map(group => [group.count, group.rows, group.suspectedNPlusOne]), [
+        [3, 3, true],
+        [2, 8, false]
+    ]);
+    assert.deepEqual(groups[1].lines, ['9', '12']);
+});
+
+test('fewer runs from one line are not flagged', () => {
+    const { groups } = analyze([
+        ...soql('100', 5, 'SELECT Id FROM Contact', 1),
+        ...soql('200', 5, 'SELECT Id FROM Contact', 1)
+    ]);
+
+    assert.equal(groups[0].suspectedNPlusOne, false);
+});
+
+test('DML begin fields', () => {
+    const { dmls } = analyze([
+        '12:00:00.100 (100000000)|DML_BEGIN|[7]|Op:Update|Type:Account|Rows:2',
+        '12:00:00.100 (100500000)|DML_END|[7]'
+    ]);
+
+    assert.deepEqual(
+        dmls.map(({ line, operation, objectType, rows }) => ({ line, operation, objectType, rows })),
+        [{ line: '7', operation: 'Update', objectType: 'Account', rows: 2 }]
+    );
+});
@@ -0,0 +1,192 @@
+/**
+ * Masks sensitive values in parsed log entries before they are shown, copied
+ * or exported. Everything runs locally on the parsed entries.
+ *
+ *   settings { rules: Set of built-in rule ids, custom: [{ label, pattern }] }
+ *   redactor { redactText, redactLine, summarize, tokens, errors }
+ *   summary  [{ id, label, count, samples: [{ original, token }] }]
+ *
+ * One redactor hands out one token per distinct value, e.g. `[EMAIL_1]`, so
+ * the same address reads the same in every entry, view and export it masks.
+ * Apply the same redactor to two logs to keep tokens comparable between them,
+ * or seed a new one with the `tokens` of an earlier run.
+ *
+ * Counts belong to a run rather than to the redactor: pass a tally from
+ * `createTally` to `redactText` or `redactLine` and read it back with
+ * `summarize`. Built-in rules that are switched off are still counted while a
+ * tally is passed, so the preview can show what enabling them would mask.
+ *
+ * Entries are masked on their raw text and parsed again, so no fragment of a
+ * value the parser had split up survives in the parsed content.
+ */
+import { parseLogEntry } from '../parser/logEntry.js';
+import { isRecordId } from '../parser/values.js';
+
+// `keep` is the number of a capture group that stays visible, such as the
+// header name in front of a credential.
+export const REDACTION_RULES = [
+    {
+        id: 'authorization',
+        label: 'Authorization headers',
+        token: 'AUTH',
+        patterns: [{ regex: /(\bAuthorization\b["']?\s*[:=]\s*["']?)[^"',[\]|\n]+/gi, keep: 1 }]
+    },
+    {
+        id: 'oauth',
+        label: 'OAuth tokens and client secrets',
+        token: 'TOKEN',
+        patterns: [
+            { regex: /(\bBearer\s+)[\w\-.~+/]+=*/g, keep: 1 },
+            { regex: /(\b(?:access_token|refresh_token|id_token|client_secret)["']?\s*[:=]\s*["']?)[^"'&,\s[\]|]+/gi, keep: 1 }
+        ]
+    },
+    {
+        id: 'session',
+        label: 'Session IDs',
+        token: 'SESSION',
+        patterns: [
+            { regex: /\b00D[a-zA-Z0-9]{12,15}![\w.]+/g },
+            { regex: /(\bsession_?id["']?\s*[:=]\s*["']?)[^"'&,\s[\]|]+/gi, keep: 1 }
+        ]
+    },
+    {
+        id: 'email',
+        label: 'Email addresses',
+        token: 'EMAIL',
+        patterns: [{ regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g }]
+    },
+    {
+        id: 'phone',
+        label: 'Phone numbers',
+        token: 'PHONE',
+        patterns: [{ regex: /(?<![\w.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\w)/g }]
+    },
+    {
+        id: 'recordId',
+        label: 'Record Ids (15/18 characters)',
+        token: 'ID',
+        patterns: [{ regex: /\b[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?\b/g, test: isRecordId }]
+    }
+];
+
+const EVENT_HEADER_PATTERN = /^\d{2}:\d{2}:\d{2}\.\d{3}\s+\(\d+\)\|[^|\n]+/;
+
+export const DEFAULT_REDACTION_SETTINGS = {
+    rules: new Set(REDACTION_RULES.map(rule => rule.id)),
+    custom: []
+};
+
+const compileCustomRules = (custom) => {
+    const rules = [];
+    const errors = [];
+
+    custom.forEach((rule, index) => {
+        if (!rule.pattern) return;
+        try {
+            rules.push({
+                id: `custom-${index}`,
+                label: rule.label || rule.pattern,
+                token: `CUSTOM_${index + 1}`,
+                patterns: [{ regex: new RegExp(rule.pattern, 'g') }]
+            });
+        } catch (e) {
+            errors.push({ index, message: e.message });
+        }
+    });
+
+    return { rules, errors };
+};
+
+export const createTally = () => ({ counts: new Map(), masked: new Map() });
+
+export const createRedactor = (settings, { tokens: seed = [] } = {}) => {
+    const custom = compileCustomRules(settings.custom);
+    const rules = [
+        ...REDACTION_RULES.map(rule => ({ ...rule, enabled: settings.rules.has(rule.id) })),
+        ...custom.rules.map(rule => ({ ...rule, enabled: true }))
+    ];
+    const tokens = new Map(seed);
+    const numbers = new Map();
+    tokens.forEach(({ rule }) => numbers.set(rule, (numbers.get(rule) || 0) + 1));
+
+    const tokenFor = (rule, original, tally) => {
+        const key = `${rule.id}\u0000${original}`;
+        if (!tokens.has(key)) {
+            const number = (numbers.get(rule.id) || 0) + 1;
+            numbers.set(rule.id, number);
+            tokens.set(key, { rule: rule.id, original, token: `[${rule.token}_${number}]` });
+        }
+        if (tally) {
+            tally.counts.set(rule.id, (tally.counts.get(rule.id) || 0) + 1);
+            tally.masked.set(key, tokens.get(key));
+        }
+        return tokens.get(key).token;
+    };
+
+    const redactText = (text, tally = null) => {
+        if (typeof text !== 'string' || !text) return text;
+
+        return rules.reduce((current, rule) => {
+            if (!rule.enabled && !tally) return current;
+            return rule.patterns.reduce(
+                (value, { regex, keep, test }) => value.replace(regex, (match, ...groups) => {
+                    const kept = keep ? groups[keep - 1] || '' : '';
+                    const secret = match.substring(kept.length);
+                    if (!secret || (test && !test(secret))) return match;
+                    const token = tokenFor(rule, secret, tally);
+                    return rule.enabled ? kept + token : match;
+                }),
+                current
+            );
+        }, text);
+    };
+
+    // Timestamp and event type stay as they are, whatever a custom rule says.
+    const redactLine = (line, tally = null) => {
+        const header = (line.match(EVENT_HEADER_PATTERN) || [''])[0];
+        return header + redactText(line.substring(header.length), tally);
+    };
+
+    const summarize = (tally) => rules.map(rule => {
+        const samples = Array.from(tally.masked.values())
+            .filter(entry => entry.rule === rule.id)
+            .map(({ original, token }) => ({ original, token }));
+        return { id: rule.id, label: rule.label, count: tally.counts.get(rule.id) || 0, samples };
+    });
+
+    return { redactText, redactLine, summarize, tokens, errors: custom.errors };
+};
+
+/**
+ * Masks the raw lines of several logs with one redactor, keeping a tally per
+ * log for its preview. `changes` lists `[index, original, parsed]` for the
+ * entries that changed; merge them back with `applyRedaction`.
+ *
+ *   run { logs: [{ changes, summary }], tokens, errors }
+ */
+export const redactLogs = (logs, settings) => {
+    const redactor = createRedactor(settings);
+
+    return {
+        logs: logs.map(lines => {
+            const tally = createTally();
+            const changes = [];
+            lines.forEach((line, index) => {
+                const original = redactor.redactLine(line, tally);
+                if (original !== line) changes.push([index, original, parseLogEntry(original)]);
+            });
+            return { changes, summary: redactor.summarize(tally) };
+        }),
+        tokens: redactor.tokens,
+        errors: redactor.errors
+    };
+};
+
+export const applyRedaction = (entries, changes) => {
+    if (changes.length === 0) return entries;
+    const masked = entries.slice();
+    changes.forEach(([index, original, parsed]) => {
+        masked[index] = { ...entries[index], original, parsed };
+    });
+    return masked;
+};
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { createRedactor, createTally, redactLogs, applyRedaction, DEFAULT_REDACTION_SETTINGS } from './redaction.js';
+
+const settings = (rules, custom = []) => ({ rules: new Set(rules), custom });
+
+const countsOf = (summary) => Object.fromEntries(
+    summary.filter(rule => rule.count > 0).map(rule => [rule.id, rule.count])
+);
+
+test('the same value gets the same token and every match is counted', () => {
+    const redactor = createRedactor(DEFAULT_REDACTION_SETTINGS);
+    const tally = createTally();
+
+    assert.equal(
+        redactor.redactText('mail jane@example.com, then jane@example.com and joe@example.com', tally),
+        'mail [EMAIL_1], then [EMAIL_1] and [EMAIL_2]'
+    );
+    assert.deepEqual(countsOf(redactor.summarize(tally)), { email: 3 });
+    assert.deepEqual(redactor.summarize(tally).find(rule => rule.id === 'email').samples, [
+        { original: 'jane@example.com', token: '[EMAIL_1]' },
+        { original: 'joe@example.com', token: '[EMAIL_2]' }
+    ]);
+});
+
+test('kept prefixes, record Ids and the event header stay readable', () => {
+    const redactor = createRedactor(DEFAULT_REDACTION_SETTINGS);
+
+    assert.equal(
+        redactor.redactLine('12:00:00.001 (1000000)|USER_DEBUG|[2]|DEBUG|001000000000001AAA Authorization: Bearer abc.def'),
+        '12:00:00.001 (1000000)|USER_DEBUG|[2]|DEBUG|[ID_1] Authorization: [AUTH_1]'
+    );
+    assert.equal(redactor.redactText('Bearer abc.def'), 'Bearer [TOKEN_1]');
+});
+
+test('switched-off rules are counted but not masked', () => {
+    const redactor = createRedactor(settings(['email']));
+    const tally = createTally();
+
+    assert.equal(redactor.redactText('jane@example.com 415-555-0100', tally), '[EMAIL_1] 415-555-0100');
+    assert.deepEqual(countsOf(redactor.summarize(tally)), { email: 1, phone: 1 });
+});
+
+test('custom rules mask and report invalid patterns', () => {
+    const redactor = createRedactor(settings([], [{ label: 'Account numbers', pattern: 'ACC-\\d{6}' }, { pattern: '(' }]));
+
+    assert.equal(redactor.redactText('ACC-123456'), '[CUSTOM_1_1]');
+    assert.equal(redactor.errors.length, 1);
+    assert.equal(redactor.errors[0].index, 1);
+});
+
+test('one run masks several logs with shared tokens and a tally per log', () => {
+    const left = parseLog('12:00:00.001 (1000000)|USER_DEBUG|[2]|DEBUG|jane@example.com\n12:00:00.002 (2000000)|STATEMENT_EXECUTE|[3]');
+    const right = parseLog('12:00:00.001 (1000000)|USER_DEBUG|[2]|DEBUG|joe@example.com jane@example.com');
+    const run = redactLogs([left, right].map(entries => entries.map(entry => entry.original)), DEFAULT_REDACTION_SETTINGS);
+
+    const masked = applyRedaction(left, run.logs[0].changes);
+    assert.equal(masked[0].parsed.content, '[EMAIL_1]');
+    assert.equal(masked[1], left[1]);
+    assert.equal(applyRedaction(right, run.logs[1].changes)[0].parsed.content, '[EMAIL_2] [EMAIL_1]');
+    assert.deepEqual(countsOf(run.logs[0].summary), { email: 1 });
+    assert.deepEqual(countsOf(run.logs[1].summary), { email: 2 });
+
+    const seeded = createRedactor(DEFAULT_REDACTION_SETTINGS, { tokens: run.tokens });
+    assert.equal(seeded.redactText('jane@example.com ann@example.com'), '[EMAIL_1] [EMAIL_3]');
+});
@@ -0,0 +1,179 @@
+/**
+ * Reconstructs the order of execution each DML statement caused, from the
+ * events nested under its DML_BEGIN in the call tree (see `buildCallTree`).
+ *
+ *   operation { id, entryId, line, operation, objectType, rows, duration,
+ *               steps, lanes, reentrant }
+ *   step      { seq, entryId, kind, objectType, label, phase, duration,
+ *               depth, reentrant, result }
+ *   lane      { objectType, steps }
+ *
+ * `kind` is one of 'trigger', 'validation', 'duplicate', 'flow', 'workflow'
+ * or 'dml' (a DML issued while saving, whose own steps follow it). `depth`
+ * counts the DML statements enclosing the step below the top-level one, and
+ * `reentrant` marks a trigger firing again for an event it is already
+ * handling further up the stack, or firing a second time for the same DML
+ * after a workflow field update re-saved the records.
+ */
+import { splitFields } from '../parser/logEntry.js';
+import { fieldValue } from './queries.js';
+
+// "AccountTrigger on Account trigger event BeforeUpdate for [001...]"
+const TRIGGER_PATTERN = /(?:Trigger\.)?([\w.]+) on (\w+) trigger event (\w+)/;
+
+// Code units the platform opens around declarative steps for one sObject,
+// e.g. "Validation:Account:001..." or "Workflow:Account".
+const OBJECT_UNIT_PATTERN = /^(?:Validation|Workflow|Flow|DuplicateDetector):(\w+)/;
+
+const dmlLabel = (parsed) => {
+    const rows = fieldValue(parsed, 'Rows');
+    return `${fieldValue(parsed, 'Op') || 'DML'} ${fieldValue(parsed, 'Type') || ''}${rows !== null ? ` (${rows} rows)` : ''}`.trim();
+};
+
+const unitName = (node) => splitFields(node.entry.parsed)
+    .find(field => TRIGGER_PATTERN.test(field) || OBJECT_UNIT_PATTERN.test(field)) || '';
+
+const collectSteps = (dmlNode) => {
+    const steps = [];
+    let validation = null;
+
+    const addStep = (node, kind, objectType, depth, fields = {}) => {
+        const step = {
+            seq: steps.length,
+            entryId: node.entry.id,
+            kind,
+            objectType,
+            label: node.label,
+            phase: null,
+            duration: node.duration,
+            depth,
+            reentrant: false,
+            result: null,
+            ...fields
+        };
+        steps.push(step);
+        return step;
+    };
+
+    // `save` is the DML whose save the events belong to: the triggers it has
+    // fired so far and whether a field update has re-saved its records.
+    const walk = (node, objectType, depth, activeTriggers, save) => {
+        node.children.forEach(child => {
+            const { parsed } = child.entry;
+            let childObject = objectType;
+            let childDepth = depth;
+            let childTriggers = activeTriggers;
+            let childSave = save;
+
+            switch (child.logType) {
+                case 'CODE_UNIT_STARTED': {
+                    const name = unitName(child);
+                    const trigger = name.match(TRIGGER_PATTERN);
+                    const unit = name.match(OBJECT_UNIT_PATTERN);
+                    if (trigger) {
+                        const [, triggerName, sObject, phase] = trigger;
+                        const key = `${triggerName}|${phase}`;
+                        addStep(child, 'trigger', sObject, depth, {
+                            label: triggerName,
+                            phase,
+                            reentrant: activeTriggers.includes(key) || (save.fieldUpdated && save.fired.has(key))
+                        });
+                        save.fired.add(key);
+                        childObject = sObject;
+                        childTriggers = [...activeTriggers, key];
+                    } else if (unit) {
+                        childObject = unit[1];
+                    }
+                    break;
+                }
+                case 'DML_BEGIN':
+                    childObject = fieldValue(parsed, 'Type') || objectType;
+                    childDepth = depth + 1;
+                    childSave = { fired: new Set(), fieldUpdated: false };
+                    addStep(child, 'dml', childObject, depth + 1, { label: dmlLabel(parsed) });
+                    break;
+                case 'VALIDATION_RULE':
+                    // VALIDATION_RULE|03d...|Rule_Name
+                    validation = addStep(child, 'validation', objectType, depth);
+                    break;
+                case 'VALIDATION_PASS':
+                case 'VALIDATION_FAIL':
+                    if (validation) validation.result = child.logType === 'VALIDATION_PASS' ? 'pass' : 'fail';
+                    validation = null;
+                    break;
+                case 'DUPLICATE_DETECTION_RULE_INVOCATION':
+                    addStep(child, 'duplicate', objectType, depth, {
+                        label: fieldValue(parsed, 'DuplicateRuleName') || child.label
+                    });
+                    break;
+                case 'FLOW_START_INTERVIEW_BEGIN':
+                    // FLOW_START_INTERVIEW_BEGIN|interviewId|Flow Name
+                    addStep(child, 'flow', objectType, depth, {
+                        label: splitFields(parsed)[1] || child.label
+                    });
+                    break;
+                case 'WF_FIELD_UPDATE': {
+                    // WF_FIELD_UPDATE|[Account: Acme 001...]|Field:Account: Rating|Value:Hot|...
+                    const field = fieldValue(parsed, 'Field');
+                    save.fieldUpdated = true;
+                    addStep(child, 'workflow', objectType, depth, {
+                        label: field ? `${field} = ${fieldValue(parsed, 'Value') ?? ''}` : child.label
+                    });
+                    break;
+                }
+            }
+
+            walk(child, childObject, childDepth, childTriggers, childSave);
+        });
+    };
+    walk(dmlNode, fieldValue(dmlNode.entry.parsed, 'Type'), 0, [], { fired: new Set(), fieldUpdated: false });
+
+    return steps;
+};
+
+const toLanes = (steps, rootObject) => {
+    const lanes = new Map();
+    if (rootObject) lanes.set(rootObject, { objectType: rootObject, steps: [] });
+
+    steps.forEach(step => {
+        const objectType = step.objectType || 'Unknown';
+        if (!lanes.has(objectType)) lanes.set(objectType, { objectType, steps: [] });
+        lanes.get(objectType).steps.push(step);
+    });
+
+    return Array.from(lanes.values());
+};
+
+export const analyzeSaveOrder = (callTree) => {
+    const operations = [];
+
+    const walk = (node) => {
+        node.children.forEach(child => {
+            if (child.logType !== 'DML_BEGIN') {
+                walk(child);
+                return;
+            }
+
+            const { parsed } = child.entry;
+            const objectType = fieldValue(parsed, 'Type');
+            const steps = collectSteps(child);
+            const rows = fieldValue(parsed, 'Rows');
+
+            operations.push({
+                id: operations.length,
+                entryId: child.entry.id,
+                line: parsed.lineNumber || null,
+                operation: fieldValue(parsed, 'Op'),
+                objectType,
+                rows: rows === null ? null : Number(rows),
+                duration: child.duration,
+                steps,
+                lanes: toLanes(steps, objectType),
+                reentrant: steps.filter(step => step.reentrant).length
+            });
+        });
+    };
+    walk(callTree.root);
+
+    return operations;
+};
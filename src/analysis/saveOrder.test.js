@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLog } from '../parser/index.js';
+import { buildCallTree } from './callTree.js';
+import { analyzeSaveOrder } from './saveOrder.js';
+
+let time = 0;
+const line = (rest) => {
+    time++;
+    return `12:00:00.${String(time).padStart(3, '0')} (${time}000000)|${rest}`;
+};
+const trigger = (phase, inner = []) => [
+    line(`CODE_UNIT_STARTED|[EXTERNAL]|01q000000000001|AccountTrigger on Account trigger event ${phase}|__sfdc_trigger/AccountTrigger`),
+    ...inner,
+    line(`CODE_UNIT_FINISHED|AccountTrigger on Account trigger event ${phase}|__sfdc_trigger/AccountTrigger`)
+];
+const dml = (inner) => [
+    line('DML_BEGIN|[4]|Op:Update|Type:Account|Rows:1'),
+    ...inner,
+    line('DML_END|[4]')
+];
+const fieldUpdate = line('WF_FIELD_UPDATE|[Account: Acme 001000000000001]|Field:Account: Rating|Value:Hot|Id=04Y000000000001|CurrentRule:Rate (Id=01Q000000000001)');
+
+const steps = (lines) => {
+    const [operation] = analyzeSaveOrder(buildCallTree(parseLog(lines.join('\n'))));
+    return operation.steps.map(step => [step.kind, step.phase, step.depth, step.reentrant]);
+};
+
+test('triggers firing again after a workflow field update are re-entrant', () => {
+    assert.deepEqual(steps(dml([
+        ...trigger('BeforeUpdate'),
+        ...trigger('AfterUpdate'),
+        fieldUpdate,
+        ...trigger('BeforeUpdate'),
+        ...trigger('AfterUpdate')
+    ])), [
+        ['trigger', 'BeforeUpdate', 0, false],
+        ['trigger', 'AfterUpdate', 0, false],
+        ['workflow', null, 0, false],
+        ['trigger', 'BeforeUpdate', 0, true],
+        ['trigger', 'AfterUpdate', 0, true]
+    ]);
+});
+
+test('a trigger firing for its own DML further down the stack is re-entrant', () => {
+    assert.deepEqual(steps(dml(trigger('AfterUpdate', dml(trigger('AfterUpdate'))))), [
+        ['trigger', 'AfterUpdate', 0, false],
+        ['dml', null, 1, false],
+        ['trigger', 'AfterUpdate', 1, true]
+    ]);
+});
+
+test('repeated fires without a field update, or in a separate DML, are not re-entrant', () => {
+    assert.deepEqual(steps(dml([
+        ...trigger('BeforeUpdate'),
+        ...trigger('BeforeUpdate'),
+        ...trigger('AfterUpdate', [fieldUpdate, ...dml(trigger('BeforeInsert'))])
+    ])).map(step => step[3]), [false, false, false, false, false, false]);
+});
@@ -0,0 +1,79 @@
+/**
+ * Variable history from FINEST Apex logs: every VARIABLE_ASSIGNMENT, plus the
+ * STATEMENT_EXECUTE lines between them, in execution order.
+ *
+ *   step      { index, entryId, kind: 'assignment' | 'statement', line,
+ *               method, name, rawValue, value }
+ *   variables [{ name, type, count }]
+ *
+ * `value` is the entry's parsed content; statements carry only `line` and
+ * `method`.
+ */
+import { eventLabel } from '../parser/logEntry.js';
+
+const METHOD_BEGIN = ['METHOD_ENTRY', 'CONSTRUCTOR_ENTRY', 'CODE_UNIT_STARTED'];
+const METHOD_END = ['METHOD_EXIT', 'CONSTRUCTOR_EXIT', 'CODE_UNIT_FINISHED'];
+
+// VARIABLE_ASSIGNMENT|[line]|name|value: `level` holds the name and `content`
+// the value, the parser having already dropped any trailing heap address.
+export const parseAssignment = (parsed) => ({
+    name: (parsed.level || '').trim(),
+    rawValue: parsed.content,
+    value: parsed.parsedContent
+});
+
+export const collectExecutionSteps = (entries) => {
+    const steps = [];
+    const methods = [];
+    const variables = new Map();
+
+    entries.forEach(entry => {
+        const { parsed } = entry;
+        if (parsed.type !== 'parsed') return;
+
+        if (METHOD_BEGIN.includes(parsed.logType)) {
+            methods.push(eventLabel(parsed));
+            return;
+        }
+        if (METHOD_END.includes(parsed.logType)) {
+            methods.pop();
+            return;
+        }
+
+        const method = methods[methods.length - 1] || null;
+        const line = parsed.lineNumber ? Number(parsed.lineNumber) : null;
+
+        if (parsed.logType === 'VARIABLE_SCOPE_BEGIN') {
+            // VARIABLE_SCOPE_BEGIN|[line]|name|Type|isReference|isStatic
+            const name = (parsed.level || '').trim();
+            const type = parsed.content.split('|')[0].trim();
+            if (!variables.has(name)) variables.set(name, { name, type, count: 0 });
+            else if (!variables.get(name).type) variables.get(name).type = type;
+        } else if (parsed.logType === 'STATEMENT_EXECUTE') {
+            steps.push({ index: steps.length, entryId: entry.id, kind: 'statement', line, method });
+        } else if (parsed.logType === 'VARIABLE_ASSIGNMENT') {
+            const assignment = parseAssignment(parsed);
+            if (!variables.has(assignment.name)) {
+                variables.set(assignment.name, { name: assignment.name, type: null, count: 0 });
+            }
+            variables.get(assignment.name).count++;
+            steps.push({ index: steps.length, entryId: entry.id, kind: 'assignment', line, method, ...assignment });
+        }
+    });
+
+    return {
+        steps,
+        variables: Array.from(variables.values())
+            .filter(variable => variable.count > 0)
+            .sort((a, b) => a.name.localeCompare(b.name))
+    };
+};
+
+// Latest assignment to `name` at or before step `cursor`, or null.
+export const valueAt = (steps, name, cursor) => {
+    for (let index = Math.min(cursor, steps.length - 1); index >= 0; index--) {
+        const step = steps[index];
+        if (step.kind === 'assignment' && step.name === name) return step;
+    }
+    return null;
+};
@@ -0,0 +1,169 @@
+/**
+ * `sfdf`: formats and checks debug logs outside the browser, e.g. the logs a
+ * CI job downloads after running Apex tests.
+ *
+ * Exit codes: 0 when every log passes the rules, 1 when any fails them, 2 for
+ * bad arguments or unreadable input. A file that cannot be read is reported
+ * on stderr and the remaining files are still checked; a rule failure in any
+ * of them takes precedence over the read error.
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parseLog } from '../parser/index.js';
+import { buildCallTree } from '../analysis/callTree.js';
+import { summarizeLog, DEFAULT_TOP_QUERIES } from './summary.js';
+import { checkRules, DEFAULT_RULES } from './rules.js';
+import { renderTree, renderSummary } from './terminal.js';
+
+export const EXIT_PASSED = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+const FORMATS = ['tree', 'summary', 'json'];
+const LIMIT_SEVERITIES = ['warning', 'critical'];
+
+const USAGE = `Usage: sfdf [options] [file ...]
+
+Formats Salesforce debug logs and checks them against rules. Reads stdin
+when no file (or "-") is given.
+
+Options:
+  -f, --format <format>      tree (default), summary or json
+      --max-soql <n>         fail above n SOQL queries
+      --max-dml <n>          fail above n DML statements
+      --max-cpu <ms>         fail above ms of CPU time
+      --fail-on <types>      comma-separated event types that fail on sight
+                             (default: ${DEFAULT_RULES.failOn.join(',')}; "" to disable)
+      --fail-on-limit <sev>  fail on any governor limit at warning or critical
+      --top <n>              slowest queries in the summary (default: ${DEFAULT_TOP_QUERIES})
+      --color, --no-color    force colours on or off (default: on for a terminal)
+  -h, --help                 show this help
+
+Exit codes: 0 passed, 1 a rule failed, 2 usage or read error (other files
+are still checked when one cannot be read).`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'tree' },
+    'max-soql': { type: 'string' },
+    'max-dml': { type: 'string' },
+    'max-cpu': { type: 'string' },
+    'fail-on': { type: 'string' },
+    'fail-on-limit': { type: 'string' },
+    top: { type: 'string' },
+    color: { type: 'boolean' },
+    'no-color': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+const toCount = (value, name) => {
+    if (value === undefined) return null;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new UsageError(`--${name} expects a whole number, got "${value}"`);
+    }
+    return count;
+};
+
+const parseOptions = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (values['fail-on-limit'] !== undefined && !LIMIT_SEVERITIES.includes(values['fail-on-limit'])) {
+        throw new UsageError(`--fail-on-limit must be one of ${LIMIT_SEVERITIES.join(', ')}`);
+    }
+
+    return {
+        help: Boolean(values.help),
+        format: values.format,
+        files: positionals.length > 0 ? positionals : ['-'],
+        top: toCount(values.top, 'top') ?? DEFAULT_TOP_QUERIES,
+        color: values['no-color'] ? false : values.color,
+        rules: {
+            maxSoql: toCount(values['max-soql'], 'max-soql'),
+            maxDml: toCount(values['max-dml'], 'max-dml'),
+            maxCpu: toCount(values['max-cpu'], 'max-cpu'),
+            failOn: values['fail-on'] === undefined
+                ? DEFAULT_RULES.failOn
+                : values['fail-on'].split(',').map(type => type.trim()).filter(Boolean),
+            failOnLimit: values['fail-on-limit'] ?? null
+        }
+    };
+};
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+const readInput = (file, stdin) => (file === '-' ? readStream(stdin) : readFile(file, 'utf8'));
+
+const analyze = (file, text, options) => {
+    const entries = parseLog(text);
+    const callTree = buildCallTree(entries);
+    const summary = summarizeLog(entries, callTree, { top: options.top });
+    return { file, entries, callTree, summary, failures: checkRules(summary, options.rules) };
+};
+
+// `io` is `{ stdin, stdout, stderr }`, the process streams unless a caller
+// passes its own. Resolves to the exit code.
+export const main = async (argv, io = process) => {
+    const { stdin, stdout, stderr } = io;
+
+    let options;
+    try {
+        options = parseOptions(argv);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        stderr.write(`sfdf: ${e.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_PASSED;
+    }
+
+    const color = options.color ?? (Boolean(stdout.isTTY) && !process.env.NO_COLOR);
+    const reports = [];
+    const unreadable = [];
+
+    for (const file of options.files) {
+        let text;
+        try {
+            text = await readInput(file, stdin);
+        } catch (e) {
+            stderr.write(`sfdf: cannot read ${file}: ${e.message}\n`);
+            unreadable.push({ file, error: e.message });
+            continue;
+        }
+        reports.push(analyze(file === '-' ? 'stdin' : file, text, options));
+    }
+
+    const failed = reports.some(report => report.failures.length > 0);
+
+    if (options.format === 'json') {
+        const logs = reports.map(({ file, entries, summary, failures }) => ({ file, entries, summary, failures }));
+        stdout.write(`${JSON.stringify({ passed: !failed && unreadable.length === 0, logs, unreadable }, null, 2)}\n`);
+    } else {
+        const multiple = options.files.length > 1;
+        reports.forEach(report => {
+            if (options.format === 'tree') {
+                stdout.write(`${renderTree(report.entries, report.callTree, { color })}\n\n`);
+            }
+            stdout.write(`${renderSummary(report.summary, report.failures, { color, title: multiple ? report.file : null })}\n`);
+        });
+    }
+
+    if (failed) return EXIT_FAILED;
+    return unreadable.length > 0 ? EXIT_USAGE : EXIT_PASSED;
+};
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { main, EXIT_PASSED, EXIT_FAILED, EXIT_USAGE } from './index.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../parser/__fixtures__/${name}`, import.meta.url));
+
+const output = () => {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+};
+
+const run = async (argv, stdinText = '') => {
+    const stdout = output();
+    const stderr = output();
+    const code = await main(argv, { stdin: Readable.from([Buffer.from(stdinText)]), stdout, stderr });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+};
+
+test('a clean log passes', async () => {
+    const { code, stdout } = await run(['--no-color', fixture('anonymous-apex.log')]);
+
+    assert.equal(code, EXIT_PASSED);
+    assert.match(stdout, /All rules passed/);
+});
+
+test('FATAL_ERROR fails by default and --fail-on "" turns that off', async () => {
+    assert.equal((await run(['--format', 'summary', fixture('exception.log')])).code, EXIT_FAILED);
+    assert.equal((await run(['--format', 'summary', '--fail-on', '', fixture('exception.log')])).code, EXIT_PASSED);
+});
+
+test('numeric rules fail above their maximum', async () => {
+    assert.equal((await run(['-f', 'summary', '--max-soql', '0', fixture('anonymous-apex.log')])).code, EXIT_FAILED);
+    assert.equal((await run(['-f', 'summary', '--max-soql', '1', fixture('anonymous-apex.log')])).code, EXIT_PASSED);
+});
+
+test('bad arguments are usage errors', async () => {
+    const { code, stderr } = await run(['--max-soql', 'many']);
+
+    assert.equal(code, EXIT_USAGE);
+    assert.match(stderr, /--max-soql expects a whole number/);
+    assert.equal((await run(['--format', 'xml'])).code, EXIT_USAGE);
+});
+
+test('an unreadable file is reported and the other files are still checked', async () => {
+    const missing = fixture('missing.log');
+    const passing = await run(['-f', 'json', missing, fixture('anonymous-apex.log')]);
+
+    assert.equal(passing.code, EXIT_USAGE);
+    assert.match(passing.stderr, /cannot read .*missing\.log/);
+    assert.equal(JSON.parse(passing.stdout).logs.length, 1);
+
+    assert.equal((await run(['-f', 'summary', missing, fixture('exception.log')])).code, EXIT_FAILED);
+});
+
+test('reads stdin when no file is given', async () => {
+    const { code, stdout } = await run(['-f', 'json'], '12:00:00.001 (1000000)|FATAL_ERROR|System.LimitException: Too many SOQL queries: 101');
+
+    assert.equal(code, EXIT_FAILED);
+    assert.equal(JSON.parse(stdout).logs[0].file, 'stdin');
+});
+
+test('the tree keeps lines outside the call tree where they occur', async () => {
+    const { stdout } = await run(['--no-color', '--fail-on', '', fixture('exception.log')]);
+    const lines = stdout.split('\n');
+    const at = (pattern) => lines.findIndex(line => pattern.test(line));
+
+    assert.equal(lines[0], '59.0 APEX_CODE,FINE;APEX_PROFILING,INFO;DB,INFO');
+    assert.equal(lines[at(/Skipped 4096 bytes/)], '    *** Skipped 4096 bytes of detailed log');
+    assert.ok(at(/Trigger\.AccountTrigger: line 4/) < at(/Skipped 4096 bytes/));
+    assert.equal(at(/MAXIMUM DEBUG LOG SIZE REACHED/), at(/Skipped 4096 bytes/) + 1);
+
+    const echoed = await run(['--no-color', fixture('anonymous-apex.log')]);
+    assert.match(echoed.stdout, /^59\.0 .*\nExecute Anonymous: List<Account>/);
+});
@@ -0,0 +1,51 @@
+/**
+ * Pass/fail checks on a log summary (see `summarizeLog`), so a pipeline can
+ * stop on a log that breaks them.
+ *
+ *   rules   { maxSoql, maxDml, maxCpu, failOn, failOnLimit }
+ *   failure { rule, message }
+ *
+ * Numeric rules left `null` are not checked. `failOn` lists error event types
+ * (see `ERROR_TYPES`) of which a single occurrence fails, `failOnLimit` the
+ * lowest limit severity that fails (`'warning'` or `'critical'`).
+ */
+
+export const DEFAULT_RULES = {
+    maxSoql: null,
+    maxDml: null,
+    maxCpu: null,
+    failOn: ['FATAL_ERROR'],
+    failOnLimit: null
+};
+
+const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+const checkMaximum = (failures, rule, value, max, describe) => {
+    if (max === null || value === null || value <= max) return;
+    failures.push({ rule, message: `${describe(value)}, more than the allowed ${max}` });
+};
+
+export const checkRules = (summary, rules = DEFAULT_RULES) => {
+    const failures = [];
+    const { counts } = summary;
+
+    checkMaximum(failures, 'maxSoql', counts.soql, rules.maxSoql, value => `${value} SOQL queries`);
+    checkMaximum(failures, 'maxDml', counts.dml, rules.maxDml, value => `${value} DML statements`);
+    checkMaximum(failures, 'maxCpu', counts.cpu, rules.maxCpu, value => `${value} ms CPU time`);
+
+    rules.failOn.forEach(logType => {
+        const count = summary.errors.filter(error => error.logType === logType).length;
+        if (count > 0) failures.push({ rule: 'failOn', message: `${count} × ${logType}` });
+    });
+
+    if (rules.failOnLimit) {
+        summary.limits.forEach(({ namespace, limits }) => limits
+            .filter(limit => SEVERITY_RANK[limit.severity] >= SEVERITY_RANK[rules.failOnLimit])
+            .forEach(limit => failures.push({
+                rule: 'failOnLimit',
+                message: `${limit.name} (${namespace}) at ${limit.used} of ${limit.max}`
+            })));
+    }
+
+    return failures;
+};
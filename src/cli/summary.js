@@ -0,0 +1,45 @@
+/**
+ * The figures a CI job cares about in one parsed log (see `parseLog`) and
+ * its call tree (see `buildCallTree`).
+ *
+ *   summary { entries, duration, counts: { soql, dml, cpu }, errors, limits,
+ *             slowestQueries }
+ *
+ * `counts.soql` and `counts.dml` prefer the peak governor limit usage over
+ * the number of statements in the log, which misses any that ran while the
+ * Database category was logged below INFO. `counts.cpu` is in milliseconds
+ * and `null` without LIMIT_USAGE_FOR_NS blocks.
+ */
+import { collectErrors } from '../analysis/errors.js';
+import { collectLimitUsage, peakLimitUsage } from '../analysis/limits.js';
+import { analyzeQueries } from '../analysis/queries.js';
+
+export const DEFAULT_TOP_QUERIES = 5;
+
+const peakUsed = (peaks, name) => {
+    const used = peaks.flatMap(({ limits }) => limits)
+        .filter(limit => limit.name === name)
+        .map(limit => limit.used);
+    return used.length > 0 ? Math.max(...used) : null;
+};
+
+export const summarizeLog = (entries, callTree, { top = DEFAULT_TOP_QUERIES } = {}) => {
+    const { queries, dmls } = analyzeQueries(callTree);
+    const limits = peakLimitUsage(collectLimitUsage(entries));
+
+    return {
+        entries: entries.length,
+        duration: callTree.root.duration,
+        counts: {
+            soql: Math.max(queries.length, peakUsed(limits, 'Number of SOQL queries') ?? 0),
+            dml: Math.max(dmls.length, peakUsed(limits, 'Number of DML statements') ?? 0),
+            cpu: peakUsed(limits, 'Maximum CPU time')
+        },
+        errors: collectErrors(entries),
+        limits,
+        slowestQueries: queries
+            .filter(query => query.duration !== null)
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, top)
+    };
+};
@@ -0,0 +1,140 @@
+/**
+ * Terminal rendering of the call tree and log summary. Colours are ANSI
+ * escapes and left out entirely when `color` is false, e.g. when the output
+ * is piped to a file.
+ */
+import { formatValue } from '../export/text.js';
+import { ERROR_TYPES } from '../analysis/errors.js';
+import { formatNanos } from '../utils/format.js';
+
+const ANSI = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m'
+};
+
+// Longest query text shown in the summary.
+const QUERY_WIDTH = 100;
+
+const createPainter = (color) => (style, text) => (
+    color ? `${style.split(' ').map(name => ANSI[name]).join('')}${text}${ANSI.reset}` : text
+);
+
+const styleFor = (logType) => {
+    if (ERROR_TYPES.includes(logType)) return 'bold red';
+    if (logType === 'USER_DEBUG') return 'green';
+    if (/^(SOQL|SOSL)_/.test(logType)) return 'blue';
+    if (/^DML_/.test(logType)) return 'magenta';
+    if (/^(CODE_UNIT|EXECUTION)_/.test(logType)) return 'bold cyan';
+    if (/^(METHOD|CONSTRUCTOR)_/.test(logType)) return 'cyan';
+    if (/^(CALLOUT|FLOW|WF)_/.test(logType)) return 'yellow';
+    return 'dim';
+};
+
+const SEVERITY_STYLES = { ok: 'green', warning: 'yellow', critical: 'bold red' };
+
+const pad = (depth) => '  '.repeat(depth);
+
+const isBlock = (value) => Boolean(value) && (value.type !== 'text' || String(value.value ?? '').includes('\n'));
+
+// Events with structured or multi-line content get it on the lines below
+// their header.
+const renderNode = (node, depth, paint, lines) => {
+    const { parsed } = node.entry;
+    const structured = node.kind === 'event' && isBlock(parsed.parsedContent);
+    const header = [
+        parsed.lineNumber ? paint('dim', `[${parsed.lineNumber}]`) : null,
+        paint(styleFor(node.logType), node.logType),
+        structured ? parsed.level : node.label !== node.logType && node.label,
+        node.duration !== null ? paint('dim', `(${formatNanos(node.duration)})`) : null,
+        node.unmatched === 'begin' ? paint('yellow', 'unclosed') : null
+    ].filter(Boolean).join(' ');
+    lines.push(pad(depth) + header);
+
+    if (structured) {
+        lines.push((pad(depth + 1) + formatValue(parsed.parsedContent, depth + 1)).replace(/ +$/gm, ''));
+    }
+};
+
+// Headers, truncation markers and unparsed lines are not part of the call
+// tree, so they are printed where they occur in the log: at the depth of the
+// node after them, or inside a node when they come before its closing event.
+const renderLoose = ({ parsed, original }, depth, paint) => {
+    if (parsed.type === 'unparsed') return pad(depth) + paint('dim', original);
+    return pad(depth) + paint(parsed.kind === 'header' ? 'dim' : 'bold yellow', parsed.content);
+};
+
+export const renderTree = (entries, callTree, { color = false } = {}) => {
+    const paint = createPainter(color);
+    const lines = [];
+    const loose = entries.filter(entry => entry.parsed.type !== 'parsed');
+
+    const renderLooseBefore = (id, depth) => {
+        while (loose.length > 0 && loose[0].id < id) {
+            lines.push(renderLoose(loose.shift(), depth, paint));
+        }
+    };
+    const walk = (node, depth) => {
+        renderLooseBefore(node.id, depth);
+        renderNode(node, depth, paint, lines);
+        node.children.forEach(child => walk(child, depth + 1));
+        if (node.endEntry) renderLooseBefore(node.endEntry.id, depth + 1);
+    };
+
+    callTree.root.children.forEach(child => walk(child, 0));
+    renderLooseBefore(Infinity, 0);
+    return lines.join('\n');
+};
+
+const truncate = (text, width) => (text.length > width ? `${text.substring(0, width - 1)}…` : text);
+
+export const renderSummary = (summary, failures, { color = false, title = null } = {}) => {
+    const paint = createPainter(color);
+    const lines = [paint('bold', title ? `Summary: ${title}` : 'Summary')];
+    const { counts } = summary;
+
+    lines.push(`  ${summary.entries} entries, ${formatNanos(summary.duration)} total`);
+    lines.push(`  ${counts.soql} SOQL, ${counts.dml} DML${counts.cpu !== null ? `, ${counts.cpu} ms CPU` : ''}`);
+
+    lines.push(paint('bold', `Errors (${summary.errors.length})`));
+    summary.errors.forEach(error => {
+        const frame = error.frames[0] ? paint('dim', ` at ${error.frames[0].raw}`) : '';
+        lines.push(`  ${paint('red', error.logType)} ${error.message.split('\n')[0]}${frame}`);
+    });
+
+    summary.limits.forEach(({ namespace, limits }) => {
+        const used = limits.filter(limit => limit.used > 0);
+        if (used.length === 0) return;
+
+        lines.push(paint('bold', `Limits (${namespace})`));
+        used.forEach(limit => {
+            lines.push(`  ${paint(SEVERITY_STYLES[limit.severity], `${Math.round(limit.ratio * 100)}%`.padStart(4))} ${limit.name}: ${limit.used} / ${limit.max}`);
+        });
+    });
+
+    if (summary.slowestQueries.length > 0) {
+        lines.push(paint('bold', 'Slowest queries'));
+        summary.slowestQueries.forEach(query => {
+            const details = [
+                query.line ? `line ${query.line}` : null,
+                query.rows !== null ? `${query.rows} rows` : null
+            ].filter(Boolean).join(', ');
+            lines.push(`  ${paint('blue', formatNanos(query.duration).padStart(10))} ${truncate(query.query, QUERY_WIDTH)}${details ? paint('dim', ` (${details})`) : ''}`);
+        });
+    }
+
+    if (failures.length > 0) {
+        lines.push(paint('bold red', `Failed (${failures.length})`));
+        failures.forEach(failure => lines.push(`  ${paint('red', '✗')} ${failure.message}`));
+    } else {
+        lines.push(paint('green', 'All rules passed'));
+    }
+
+    return lines.join('\n');
+};
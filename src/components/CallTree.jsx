@@ -0,0 +1,98 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+
+const KIND_STYLES = {
+    CODE_UNIT_STARTED: 'bg-purple-100 text-purple-800',
+    METHOD_ENTRY: 'bg-blue-100 text-blue-800',
+    CONSTRUCTOR_ENTRY: 'bg-blue-100 text-blue-800',
+    SOQL_EXECUTE_BEGIN: 'bg-green-100 text-green-800',
+    SOSL_EXECUTE_BEGIN: 'bg-green-100 text-green-800',
+    DML_BEGIN: 'bg-orange-100 text-orange-800',
+    CALLOUT_REQUEST: 'bg-pink-100 text-pink-800'
+};
+
+const CallTreeNode = ({ node, expandedItems, toggleExpanded, depth }) => {
+    const nodeId = `tree-${node.id}`;
+    const hasChildren = node.children.length > 0;
+    const isExpanded = expandedItems.has(nodeId);
+    const badgeStyle = KIND_STYLES[node.logType] || 'bg-gray-100 text-gray-700';
+
+    return (
+        <div>
+            <div
+                className={`flex items-center py-1 px-2 rounded text-sm ${hasChildren ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                style={{ paddingLeft: `${depth * 16 + 8}px` }}
+                onClick={() => hasChildren && toggleExpanded(nodeId)}
+            >
+                <span className="w-4 flex-shrink-0">
+                    {hasChildren && (isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />)}
+                </span>
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ml-1 ${badgeStyle}`}>
+                    {node.logType}
+                </span>
+                <span className="font-mono text-gray-800 ml-2 truncate flex-1" title={node.label}>
+                    {node.label}
+                </span>
+                {node.unmatched && (
+                    <span
+                        className="flex items-center gap-1 px-2 py-0.5 bg-red-100 text-red-700 rounded text-xs ml-2"
+                        title={node.unmatched === 'begin' ? 'No matching end event' : 'No matching begin event'}
+                    >
+                        <AlertTriangle size={12} />
+                        unmatched {node.unmatched}
+                    </span>
+                )}
+                {node.kind === 'pair' && (
+                    <span className="font-mono text-xs text-gray-500 ml-4 w-40 text-right flex-shrink-0">
+                        {formatNanos(node.duration)}
+                        <span className="text-gray-400"> / {formatNanos(node.selfTime)}</span>
+                    </span>
+                )}
+            </div>
+            {hasChildren && isExpanded && node.children.map(child => (
+                <CallTreeNode
+                    key={child.id}
+                    node={child}
+                    expandedItems={expandedItems}
+                    toggleExpanded={toggleExpanded}
+                    depth={depth + 1}
+                />
+            ))}
+        </div>
+    );
+};
+
+const CallTree = ({ tree, expandedItems, toggleExpanded }) => {
+    const { root, unmatched } = tree;
+
+    return (
+        <div>
+            <div className="flex items-center justify-between text-sm text-gray-600 mb-3">
+                <span>
+                    Total: <span className="font-mono">{formatNanos(root.duration)}</span>
+                    <span className="text-gray-400 ml-2">(inclusive / exclusive per node)</span>
+                </span>
+                {unmatched.length > 0 && (
+                    <span className="flex items-center gap-1 text-red-700">
+                        <AlertTriangle size={14} />
+                        {unmatched.length} unmatched begin/end events
+                    </span>
+                )}
+            </div>
+            <div className="border rounded">
+                {root.children.map(child => (
+                    <CallTreeNode
+                        key={child.id}
+                        node={child}
+                        expandedItems={expandedItems}
+                        toggleExpanded={toggleExpanded}
+                        depth={0}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default CallTree;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+import PayloadView from './PayloadView.jsx';
+import { payloadBodyIds } from '../utils/nodeIds.js';
+
+const statusStyle = (callout) => {
+    if (callout.statusCode === null) return 'text-gray-500';
+    if (callout.statusCode >= 400) return 'text-red-700 font-semibold';
+    if (callout.statusCode >= 300) return 'text-yellow-700';
+    return 'text-green-700';
+};
+
+const FieldTable = ({ fields }) => (
+    <table className="text-xs font-mono">
+        <tbody>
+            {Object.entries(fields).map(([key, value]) => (
+                <tr key={key}>
+                    <td className="pr-3 text-gray-500 align-top">{key}</td>
+                    <td className="break-all">{value}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+const BodySection = ({ title, body, nodeId, expandedItems, toggleExpanded, onSelectEntry }) => (
+    <div>
+        <div className="flex items-center gap-2 mb-1">
+            <span className="font-semibold text-gray-700 text-sm">{title}</span>
+            {body && (
+                <button onClick={() => onSelectEntry(body.entryId)} className="text-xs text-blue-700 hover:underline">
+                    from USER_DEBUG
+                </button>
+            )}
+        </div>
+        {body ? (
+            <PayloadView payload={body.payload} nodeId={nodeId} expandedItems={expandedItems} toggleExpanded={toggleExpanded} />
+        ) : (
+            <p className="text-xs text-gray-500">No JSON or XML body logged nearby.</p>
+        )}
+    </div>
+);
+
+const CalloutRow = ({ callout, total, expandedItems, toggleExpanded, onSelectEntry }) => {
+    const calloutId = `callout-${callout.id}`;
+    const isExpanded = expandedItems.has(calloutId);
+    const scale = total > 0 ? 100 / total : 0;
+    const bodyIds = () => [
+        ...(callout.requestBody ? payloadBodyIds(callout.requestBody.payload, `${calloutId}-request`) : []),
+        ...(callout.responseBody ? payloadBodyIds(callout.responseBody.payload, `${calloutId}-response`) : [])
+    ];
+
+    return (
+        <>
+            <tr className="border-t cursor-pointer hover:bg-gray-50" onClick={() => toggleExpanded(calloutId, bodyIds)}>
+                <td className="px-2 py-1">{isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}</td>
+                <td className="px-2 py-1 font-mono text-xs">{callout.method || '—'}</td>
+                <td className="px-2 py-1 font-mono text-xs break-all" title={callout.endpoint}>{callout.endpoint}</td>
+                <td className={`px-2 py-1 font-mono text-xs ${statusStyle(callout)}`}>
+                    {callout.statusCode ?? '—'} {callout.status}
+                </td>
+                <td className="px-2 py-1 text-right font-mono text-xs">{formatNanos(callout.duration)}</td>
+                <td className="px-2 py-1 w-1/4">
+                    <div className="relative h-3 bg-gray-100 rounded">
+                        <div
+                            className="absolute h-3 bg-blue-400 rounded"
+                            style={{
+                                left: `${callout.offset * scale}%`,
+                                width: `${Math.max((callout.duration || 0) * scale, 0.5)}%`
+                            }}
+                        />
+                    </div>
+                </td>
+            </tr>
+            {isExpanded && (
+                <tr>
+                    <td />
+                    <td colSpan={5} className="px-2 py-3 space-y-3">
+                        <div className="flex gap-3 text-xs">
+                            <button onClick={() => onSelectEntry(callout.entryId)} className="text-blue-700 hover:underline">
+                                Show request in log
+                            </button>
+                            {callout.endEntryId !== null && (
+                                <button onClick={() => onSelectEntry(callout.endEntryId)} className="text-blue-700 hover:underline">
+                                    Show response in log
+                                </button>
+                            )}
+                            {callout.line && <span className="text-gray-500">line {callout.line}</span>}
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <FieldTable fields={callout.request} />
+                            <FieldTable fields={callout.response} />
+                        </div>
+                        <BodySection
+                            title="Request body"
+                            body={callout.requestBody}
+                            nodeId={`${calloutId}-request`}
+                            expandedItems={expandedItems}
+                            toggleExpanded={toggleExpanded}
+                            onSelectEntry={onSelectEntry}
+                        />
+                        <BodySection
+                            title="Response body"
+                            body={callout.responseBody}
+                            nodeId={`${calloutId}-response`}
+                            expandedItems={expandedItems}
+                            toggleExpanded={toggleExpanded}
+                            onSelectEntry={onSelectEntry}
+                        />
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+};
+
+const CalloutInspector = ({ callouts, total, expandedItems, toggleExpanded, onSelectEntry }) => {
+    if (callouts.length === 0) {
+        return <p className="text-sm text-gray-500">No HTTP callouts in this log. Set CALLOUT to INFO to record them.</p>;
+    }
+
+    const failed = callouts.filter(callout => callout.statusCode >= 400 || callout.endEntryId === null).length;
+    const time = callouts.reduce((sum, callout) => sum + (callout.duration || 0), 0);
+
+    return (
+        <div>
+            <div className="text-sm text-gray-600 mb-2">
+                {callouts.length} callouts · {formatNanos(time)} waiting
+                {failed > 0 && <span className="text-red-700"> · {failed} failed or unanswered</span>}
+            </div>
+            <table className="w-full text-sm border rounded">
+                <thead className="bg-gray-50 text-gray-600 text-xs">
+                    <tr>
+                        <th className="w-6" />
+                        <th className="text-left px-2 py-1">Method</th>
+                        <th className="text-left px-2 py-1">Endpoint</th>
+                        <th className="text-left px-2 py-1">Status</th>
+                        <th className="text-right px-2 py-1">Time</th>
+                        <th className="text-left px-2 py-1">Waterfall</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {callouts.map(callout => (
+                        <CalloutRow
+                            key={callout.id}
+                            callout={callout}
+                            total={total}
+                            expandedItems={expandedItems}
+                            toggleExpanded={toggleExpanded}
+                            onSelectEntry={onSelectEntry}
+                        />
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default CalloutInspector;
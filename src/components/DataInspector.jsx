@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp } from 'lucide-react';
+import { inferValueType } from '../parser/values.js';
+import { valueNodeId, childNodeId, fieldValueNodeId } from '../utils/nodeIds.js';
+import Highlight from './Highlight.jsx';
+
+const KIND_STYLES = {
+    null: 'text-gray-400 italic',
+    boolean: 'text-purple-700',
+    number: 'text-blue-700',
+    date: 'text-teal-700',
+    datetime: 'text-teal-700',
+    id: 'text-indigo-700',
+    string: 'text-gray-800'
+};
+
+export const TypedValue = ({ text, matcher }) => {
+    const type = inferValueType(text);
+
+    return (
+        <span className={`font-mono text-sm whitespace-pre-wrap ${KIND_STYLES[type.kind]}`} title={type.kind}>
+            <Highlight text={text} matcher={matcher} />
+            {type.kind === 'id' && type.sObjectType && (
+                <span className="ml-1 px-1 bg-indigo-50 text-indigo-600 rounded text-xs font-sans not-italic">
+                    {type.sObjectType}
+                </span>
+            )}
+        </span>
+    );
+};
+
+const fieldMap = (record) => {
+    const fields = {};
+    record.fields.forEach((field, index) => {
+        if (field.type === 'keyValue') fields[field.key] = { value: field.value, index };
+    });
+    return fields;
+};
+
+const compareCells = (a, b) => {
+    if (!a) return b ? 1 : 0;
+    if (!b) return -1;
+    if (a.value.type !== 'text' || b.value.type !== 'text') return 0;
+
+    const left = a.value.value;
+    const right = b.value.value;
+    if (inferValueType(left).kind === 'number' && inferValueType(right).kind === 'number') {
+        return Number(left) - Number(right);
+    }
+    return left.localeCompare(right);
+};
+
+export const SObjectGrid = ({ value, arrayId, renderCell }) => {
+    const [sort, setSort] = useState({ column: null, direction: 1 });
+
+    const rows = value.items.map((record, index) => ({ record, index, fields: fieldMap(record) }));
+    const columns = [];
+    rows.forEach(({ fields }) => {
+        Object.keys(fields).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    if (sort.column) {
+        rows.sort((a, b) => compareCells(a.fields[sort.column], b.fields[sort.column]) * sort.direction);
+    }
+
+    const toggleSort = (column) => {
+        setSort(current => (
+            current.column === column
+                ? { column, direction: -current.direction }
+                : { column, direction: 1 }
+        ));
+    };
+
+    return (
+        <div className="overflow-x-auto border rounded mt-1">
+            <table className="text-sm min-w-full">
+                <thead className="bg-gray-50 text-gray-600 text-xs">
+                    <tr>
+                        <th className="px-2 py-1 text-left text-gray-400">#</th>
+                        {columns.map(column => (
+                            <th
+                                key={column}
+                                className="px-2 py-1 text-left cursor-pointer hover:bg-gray-100 whitespace-nowrap"
+                                onClick={() => toggleSort(column)}
+                            >
+                                <span className="inline-flex items-center gap-1">
+                                    {column}
+                                    {sort.column === column && (sort.direction === 1 ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                                </span>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(({ record, index, fields }) => {
+                        const recordId = valueNodeId(record, childNodeId(arrayId, value, index));
+                        return (
+                            <tr key={index} className="border-t align-top">
+                                <td className="px-2 py-1 text-gray-400">{index}</td>
+                                {columns.map(column => (
+                                    <td key={column} className="px-2 py-1">
+                                        {fields[column]
+                                            ? renderCell(
+                                                fields[column].value,
+                                                fieldValueNodeId(childNodeId(recordId, record, fields[column].index))
+                                            )
+                                            : <span className="text-gray-300">—</span>}
+                                    </td>
+                                ))}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export const MapTable = ({ value, mapId, renderCell, matcher }) => (
+    <table className="text-sm border rounded mt-1">
+        <thead className="bg-gray-50 text-gray-600 text-xs">
+            <tr>
+                <th className="px-2 py-1 text-left">Key</th>
+                <th className="px-2 py-1 text-left">Value</th>
+            </tr>
+        </thead>
+        <tbody>
+            {value.entries.map((entry, index) => (
+                <tr key={index} className="border-t align-top">
+                    <td className="px-2 py-1"><TypedValue text={entry.key} matcher={matcher} /></td>
+                    <td className="px-2 py-1">{renderCell(entry.value, childNodeId(mapId, value, index))}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+export const SetTable = ({ value, setId, renderCell }) => (
+    <table className="text-sm border rounded mt-1">
+        <tbody>
+            {value.items.map((item, index) => (
+                <tr key={index} className="border-t first:border-t-0 align-top">
+                    <td className="px-2 py-1">{renderCell(item, childNodeId(setId, value, index))}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
@@ -0,0 +1,111 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, AlertOctagon, CornerDownRight } from 'lucide-react';
+
+const ErrorCard = ({ error, index, entries, expandedItems, toggleExpanded, onSelectEntry }) => {
+    const errorId = `error-${index}`;
+    const isExpanded = expandedItems.has(errorId);
+    const entry = entries[error.entryId];
+
+    return (
+        <div className="border border-red-200 rounded">
+            <div className="flex items-start p-2 bg-red-50">
+                <span className="cursor-pointer mt-0.5" onClick={() => toggleExpanded(errorId)}>
+                    {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                </span>
+                <span className="px-2 py-0.5 bg-red-100 text-red-800 rounded text-xs font-medium ml-2 flex-shrink-0">
+                    {error.logType}
+                </span>
+                <button
+                    onClick={() => onSelectEntry(error.entryId)}
+                    className="font-mono text-sm text-red-900 ml-2 text-left flex-1 hover:underline whitespace-pre-wrap"
+                >
+                    {error.message}
+                </button>
+                <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                    {entry.parsed.timestamp}
+                    {entry.parsed.lineNumber && ` · line ${entry.parsed.lineNumber}`}
+                </span>
+            </div>
+
+            {isExpanded && (
+                <div className="p-3 space-y-3 text-sm">
+                    {error.frames.length > 0 && (
+                        <div>
+                            <div className="font-semibold text-gray-700 mb-1">Stack trace</div>
+                            {error.frames.map((frame, frameIndex) => (
+                                <div key={frameIndex} className="flex items-center gap-1 font-mono text-xs py-0.5">
+                                    <CornerDownRight size={12} className="text-gray-400" />
+                                    {frame.targetEntryId !== null ? (
+                                        <button
+                                            onClick={() => onSelectEntry(frame.targetEntryId)}
+                                            className="text-blue-700 hover:underline"
+                                            title="Jump to the enclosing method entry"
+                                        >
+                                            {frame.raw}
+                                        </button>
+                                    ) : (
+                                        <span className="text-gray-700">{frame.raw}</span>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div>
+                        <div className="font-semibold text-gray-700 mb-1">Before the failure</div>
+                        {error.context.length === 0 && (
+                            <p className="text-xs text-gray-500">No debug statements or variable assignments before this error.</p>
+                        )}
+                        {error.context.map(entryId => {
+                            const { parsed } = entries[entryId];
+                            return (
+                                <button
+                                    key={entryId}
+                                    onClick={() => onSelectEntry(entryId)}
+                                    className="flex items-start gap-2 w-full text-left py-0.5 hover:bg-gray-50 rounded"
+                                >
+                                    <span className="font-mono text-xs text-gray-500 flex-shrink-0">{parsed.timestamp}</span>
+                                    <span className="text-xs text-gray-500 flex-shrink-0 w-40">
+                                        {parsed.logType}{parsed.lineNumber && ` [${parsed.lineNumber}]`}
+                                    </span>
+                                    <span className="font-mono text-xs text-gray-800 truncate">
+                                        {parsed.level && parsed.logType === 'VARIABLE_ASSIGNMENT' ? `${parsed.level} = ` : ''}
+                                        {parsed.content}
+                                    </span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ErrorsPanel = ({ errors, entries, expandedItems, toggleExpanded, onSelectEntry }) => {
+    if (errors.length === 0) return null;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6 border-l-4 border-red-500">
+            <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2 mb-4">
+                <AlertOctagon size={20} className="text-red-600" />
+                Errors ({errors.length})
+            </h2>
+            <div className="space-y-2">
+                {errors.map((error, index) => (
+                    <ErrorCard
+                        key={error.entryId}
+                        error={error}
+                        index={index}
+                        entries={entries}
+                        expandedItems={expandedItems}
+                        toggleExpanded={toggleExpanded}
+                        onSelectEntry={onSelectEntry}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ErrorsPanel;
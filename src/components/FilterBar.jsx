@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ChevronUp, Search, X } from 'lucide-react';
+import { EMPTY_FILTERS } from '../analysis/filter.js';
+
+const FacetChips = ({ label, options, selected, onToggle }) => (
+    <div className="flex flex-wrap items-center gap-1">
+        <span className="text-xs font-medium text-gray-500 mr-1 w-20">{label}</span>
+        {options.map(([value, count]) => (
+            <button
+                key={value}
+                onClick={() => onToggle(value)}
+                className={`px-2 py-0.5 rounded text-xs border ${selected.has(value) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+                {value} <span className="opacity-70">{count}</span>
+            </button>
+        ))}
+    </div>
+);
+
+const RangeInputs = ({ label, from, to, placeholder, onChange }) => (
+    <div className="flex items-center gap-1 text-sm">
+        <span className="text-xs font-medium text-gray-500 mr-1">{label}</span>
+        <input
+            value={from}
+            onChange={(e) => onChange(e.target.value, to)}
+            placeholder={placeholder[0]}
+            className="w-28 px-2 py-1 border rounded font-mono text-xs"
+        />
+        <span className="text-gray-400">–</span>
+        <input
+            value={to}
+            onChange={(e) => onChange(from, e.target.value)}
+            placeholder={placeholder[1]}
+            className="w-28 px-2 py-1 border rounded font-mono text-xs"
+        />
+    </div>
+);
+
+const FilterBar = ({ filters, onChange, facets, matchCount, activeMatch, onNextMatch, onPreviousMatch, invalidQuery, searchRef }) => {
+    const [showFacets, setShowFacets] = useState(false);
+
+    const toggleFacet = (key, value) => {
+        const next = new Set(filters[key]);
+        if (next.has(value)) {
+            next.delete(value);
+        } else {
+            next.add(value);
+        }
+        onChange({ ...filters, [key]: next });
+    };
+
+    return (
+        <div className="border rounded-lg p-3 mb-4 bg-gray-50 space-y-2">
+            <div className="flex items-center gap-2">
+                <div className="flex items-center flex-1 bg-white border rounded px-2">
+                    <Search size={14} className="text-gray-400" />
+                    <input
+                        ref={searchRef}
+                        value={filters.query}
+                        onChange={(e) => onChange({ ...filters, query: e.target.value })}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                if (e.shiftKey) onPreviousMatch();
+                                else onNextMatch();
+                            } else if (e.key === 'Escape') {
+                                e.target.blur();
+                            }
+                        }}
+                        placeholder={filters.regex ? 'Regular expression…' : 'Search entries and nested values…'}
+                        className={`flex-1 px-2 py-1 text-sm outline-none ${invalidQuery ? 'text-red-600' : ''}`}
+                    />
+                </div>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={filters.regex}
+                        onChange={(e) => onChange({ ...filters, regex: e.target.checked })}
+                    />
+                    Regex
+                </label>
+                {filters.query && (
+                    <div className="flex items-center gap-1 text-xs text-gray-600">
+                        <span className="w-20 text-right">
+                            {matchCount > 0 ? `${activeMatch + 1} / ${matchCount}` : 'No matches'}
+                        </span>
+                        <button onClick={onPreviousMatch} disabled={matchCount === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-40" title="Previous match">
+                            <ChevronUp size={14} />
+                        </button>
+                        <button onClick={onNextMatch} disabled={matchCount === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-40" title="Next match">
+                            <ChevronDown size={14} />
+                        </button>
+                    </div>
+                )}
+                <button
+                    onClick={() => setShowFacets(!showFacets)}
+                    className="flex items-center text-sm text-gray-700 px-2 py-1 rounded hover:bg-gray-200"
+                >
+                    {showFacets ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    Filters
+                </button>
+                <button
+                    onClick={() => onChange(EMPTY_FILTERS)}
+                    className="flex items-center gap-1 text-sm text-gray-600 px-2 py-1 rounded hover:bg-gray-200"
+                    title="Reset filters"
+                >
+                    <X size={14} />
+                    Reset
+                </button>
+            </div>
+
+            {showFacets && (
+                <div className="space-y-2 pt-2 border-t">
+                    <FacetChips
+                        label="Event type"
+                        options={facets.logTypes}
+                        selected={filters.logTypes}
+                        onToggle={(value) => toggleFacet('logTypes', value)}
+                    />
+                    {facets.levels.length > 0 && (
+                        <FacetChips
+                            label="Level"
+                            options={facets.levels}
+                            selected={filters.levels}
+                            onToggle={(value) => toggleFacet('levels', value)}
+                        />
+                    )}
+                    <div className="flex flex-wrap gap-6">
+                        <RangeInputs
+                            label="Apex line"
+                            from={filters.lineFrom}
+                            to={filters.lineTo}
+                            placeholder={['from', 'to']}
+                            onChange={(lineFrom, lineTo) => onChange({ ...filters, lineFrom, lineTo })}
+                        />
+                        <RangeInputs
+                            label="Time"
+                            from={filters.timeFrom}
+                            to={filters.timeTo}
+                            placeholder={['HH:mm:ss.SSS', 'HH:mm:ss.SSS']}
+                            onChange={(timeFrom, timeTo) => onChange({ ...filters, timeFrom, timeTo })}
+                        />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
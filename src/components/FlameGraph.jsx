@@ -0,0 +1,198 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ZoomIn, ZoomOut, Maximize2, ArrowRight } from 'lucide-react';
+import { flattenTimedNodes } from '../analysis/callTree.js';
+import { formatNanos } from '../utils/format.js';
+
+const ROW_HEIGHT = 22;
+const MIN_VISIBLE_SPAN = 1000;
+
+// How long a click waits for a second click before it jumps to the log.
+const CLICK_DELAY = 250;
+
+const FLAME_COLORS = {
+    CODE_UNIT_STARTED: 'bg-purple-400',
+    METHOD_ENTRY: 'bg-blue-400',
+    CONSTRUCTOR_ENTRY: 'bg-blue-300',
+    SYSTEM_METHOD_ENTRY: 'bg-gray-300',
+    SYSTEM_CONSTRUCTOR_ENTRY: 'bg-gray-300',
+    SOQL_EXECUTE_BEGIN: 'bg-green-400',
+    SOSL_EXECUTE_BEGIN: 'bg-green-300',
+    DML_BEGIN: 'bg-orange-400',
+    CALLOUT_REQUEST: 'bg-pink-400',
+    FLOW_START_INTERVIEW_BEGIN: 'bg-teal-400',
+    FLOW_ELEMENT_BEGIN: 'bg-teal-300',
+    WF_RULE_EVAL_BEGIN: 'bg-yellow-300'
+};
+
+const FlameGraph = ({ tree, onSelectEntry }) => {
+    const { root } = tree;
+    const rows = useMemo(() => flattenTimedNodes(tree), [tree]);
+    const containerRef = useRef(null);
+    const [range, setRange] = useState(null);
+    const [hovered, setHovered] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const zoomByRef = useRef(null);
+    const clickTimerRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(clickTimerRef.current), []);
+
+    // React registers wheel listeners as passive, so ctrl + scroll would
+    // zoom the page instead of the graph.
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+
+        const handleWheel = (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            const bounds = container.getBoundingClientRect();
+            zoomByRef.current(e.deltaY > 0 ? 1.25 : 0.8, (e.clientX - bounds.left) / bounds.width);
+        };
+        container.addEventListener('wheel', handleWheel, { passive: false });
+        return () => container.removeEventListener('wheel', handleWheel);
+    }, [tree]);
+
+    if (root.duration === null || rows.length === 0) {
+        return <p className="text-sm text-gray-500">No timed begin/end pairs in this log.</p>;
+    }
+
+    const viewStart = range ? range.start : root.start;
+    const viewEnd = range ? range.end : root.end;
+    const span = Math.max(viewEnd - viewStart, 1);
+    const maxDepth = rows.reduce((max, row) => Math.max(max, row.depth), 0);
+
+    const zoomTo = (start, end) => {
+        const clampedStart = Math.max(root.start, start);
+        const clampedEnd = Math.min(root.end, Math.max(end, clampedStart + MIN_VISIBLE_SPAN));
+        if (clampedStart <= root.start && clampedEnd >= root.end) setRange(null);
+        else setRange({ start: clampedStart, end: clampedEnd });
+    };
+
+    // Zoom by `factor` around the point at `anchor` (0..1 across the graph).
+    const zoomBy = (factor, anchor = 0.5) => {
+        const center = viewStart + span * anchor;
+        zoomTo(center - (center - viewStart) * factor, center + (viewEnd - center) * factor);
+    };
+
+    zoomByRef.current = zoomBy;
+
+    // A click jumps to the entry in the log once it is clear no second click
+    // follows, so a double-click can zoom instead. Shift- or alt-click selects
+    // the bar and shows its details below the graph.
+    const handleClick = (e, node) => {
+        clearTimeout(clickTimerRef.current);
+        if (e.shiftKey || e.altKey) {
+            setSelectedId(node.id);
+            return;
+        }
+        clickTimerRef.current = setTimeout(() => onSelectEntry(node.entry.id), CLICK_DELAY);
+    };
+
+    const handleDoubleClick = (node) => {
+        clearTimeout(clickTimerRef.current);
+        zoomTo(node.start, node.end);
+    };
+
+    const selected = rows.find(({ node }) => node.id === selectedId)?.node;
+
+    const visibleRows = rows.filter(({ node }) => (
+        node.end >= viewStart && node.start <= viewEnd
+        && (node.duration / span) * 100 >= 0.05
+    ));
+
+    return (
+        <div>
+            <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                <span>
+                    Showing <span className="font-mono">{formatNanos(viewStart - root.start)}</span>
+                    {' – '}
+                    <span className="font-mono">{formatNanos(viewEnd - root.start)}</span>
+                    <span className="text-gray-400 ml-2">of {formatNanos(root.duration)} · click a bar to show it in the log, shift-click to select it, double-click to zoom in, ctrl + scroll to zoom</span>
+                </span>
+                <div className="flex items-center gap-1">
+                    <button onClick={() => zoomBy(0.5)} className="p-1 rounded hover:bg-gray-100" title="Zoom in">
+                        <ZoomIn size={16} />
+                    </button>
+                    <button onClick={() => zoomBy(2)} className="p-1 rounded hover:bg-gray-100" title="Zoom out">
+                        <ZoomOut size={16} />
+                    </button>
+                    <button onClick={() => setRange(null)} className="p-1 rounded hover:bg-gray-100" title="Reset zoom">
+                        <Maximize2 size={16} />
+                    </button>
+                </div>
+            </div>
+
+            <div
+                ref={containerRef}
+                className="relative border rounded bg-gray-50 overflow-hidden"
+                style={{ height: `${(maxDepth + 1) * ROW_HEIGHT + 4}px` }}
+                onMouseLeave={() => setHovered(null)}
+            >
+                {visibleRows.map(({ node, depth }) => {
+                    const left = ((Math.max(node.start, viewStart) - viewStart) / span) * 100;
+                    const right = ((Math.min(node.end, viewEnd) - viewStart) / span) * 100;
+
+                    return (
+                        <div
+                            key={node.id}
+                            className={`absolute rounded-sm border border-white text-xs px-1 truncate cursor-pointer hover:brightness-90 ${FLAME_COLORS[node.logType] || 'bg-gray-300'} ${node.id === selectedId ? 'ring-2 ring-inset ring-blue-700' : ''}`}
+                            style={{
+                                left: `${left}%`,
+                                width: `${Math.max(right - left, 0.05)}%`,
+                                top: `${depth * ROW_HEIGHT}px`,
+                                height: `${ROW_HEIGHT - 2}px`,
+                                lineHeight: `${ROW_HEIGHT - 4}px`
+                            }}
+                            onMouseMove={(e) => {
+                                const bounds = containerRef.current.getBoundingClientRect();
+                                setHovered({ node, x: e.clientX - bounds.left, y: e.clientY - bounds.top });
+                            }}
+                            onClick={(e) => handleClick(e, node)}
+                            onDoubleClick={() => handleDoubleClick(node)}
+                        >
+                            {node.label}
+                        </div>
+                    );
+                })}
+
+                {hovered && (
+                    <div
+                        className="absolute z-10 bg-gray-900 text-white text-xs rounded px-2 py-1 pointer-events-none max-w-md"
+                        style={{
+                            left: `${Math.min(hovered.x + 12, containerRef.current.clientWidth - 300)}px`,
+                            top: `${hovered.y + 12}px`
+                        }}
+                    >
+                        <div className="font-semibold">{hovered.node.logType}</div>
+                        <div className="font-mono break-all">{hovered.node.label}</div>
+                        <div className="mt-1">
+                            {formatNanos(hovered.node.duration)} total · {formatNanos(hovered.node.selfTime)} self
+                        </div>
+                        <div className="text-gray-300">
+                            {hovered.node.entry.parsed.timestamp}
+                            {hovered.node.entry.parsed.lineNumber && ` · line ${hovered.node.entry.parsed.lineNumber}`}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {selected && (
+                <div className="flex items-center gap-2 text-sm mt-2 px-2 py-1 bg-blue-50 border border-blue-200 rounded">
+                    <span className="font-semibold text-gray-700">{selected.logType}</span>
+                    <span className="font-mono truncate flex-1" title={selected.label}>{selected.label}</span>
+                    <span className="text-gray-500 whitespace-nowrap">
+                        {formatNanos(selected.duration)} total · {formatNanos(selected.selfTime)} self
+                    </span>
+                    <button
+                        onClick={() => onSelectEntry(selected.entry.id)}
+                        className="flex items-center gap-1 px-2 py-0.5 text-blue-700 rounded hover:bg-blue-100 whitespace-nowrap"
+                    >
+                        Show in log <ArrowRight size={14} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FlameGraph;
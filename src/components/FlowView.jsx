@@ -0,0 +1,187 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, GitBranch, CheckCircle, XCircle, AlertOctagon, Layers } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+import { requirementFor } from '../analysis/logCoverage.js';
+
+const INTERVIEW_REQUIREMENT = requirementFor('FLOW_START_INTERVIEW_BEGIN');
+
+const AssignmentList = ({ assignments, onSelectEntry }) => (
+    <div className="ml-6 mt-1 space-y-0.5">
+        {assignments.map(assignment => (
+            <div key={assignment.entryId} className="font-mono text-xs text-gray-700 flex gap-1">
+                <button onClick={() => onSelectEntry(assignment.entryId)} className="text-indigo-700 hover:underline flex-shrink-0">
+                    {assignment.name}
+                </button>
+                <span className="text-gray-400 flex-shrink-0">
+                    {assignment.operator && assignment.operator !== 'ASSIGN' ? assignment.operator : '='}
+                </span>
+                <span className="whitespace-pre-wrap break-all">{assignment.value}</span>
+            </div>
+        ))}
+    </div>
+);
+
+const FlowElement = ({ element, step, onSelectEntry }) => (
+    <li className="border-l-2 border-blue-200 pl-3 py-1">
+        <div className="flex items-center gap-2 text-sm">
+            <span className="text-xs text-gray-400 w-6 text-right">{step}</span>
+            <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs flex-shrink-0">
+                {element.elementType}
+            </span>
+            {element.bulk && (
+                <span className="flex items-center gap-1 px-2 py-0.5 bg-purple-100 text-purple-800 rounded text-xs flex-shrink-0" title="Bulk element run once for the whole batch">
+                    <Layers size={12} />
+                    {element.records !== null ? `${element.records} records` : 'bulk'}
+                </span>
+            )}
+            <button onClick={() => onSelectEntry(element.entryId)} className="font-mono text-gray-900 hover:underline truncate">
+                {element.name}
+            </button>
+            {element.outcome && (
+                <span className="flex items-center gap-1 text-xs text-green-800">
+                    <GitBranch size={12} />
+                    {element.outcome}
+                </span>
+            )}
+            <span className="ml-auto text-xs text-gray-500 font-mono flex-shrink-0">{formatNanos(element.duration)}</span>
+        </div>
+        {element.rules.length > 0 && (
+            <div className="ml-8 mt-1 flex flex-wrap gap-2">
+                {element.rules.map(rule => (
+                    <span key={rule.entryId} className={`flex items-center gap-1 text-xs ${rule.result ? 'text-green-700' : 'text-gray-500'}`}>
+                        {rule.result ? <CheckCircle size={12} /> : <XCircle size={12} />}
+                        {rule.name}
+                    </span>
+                ))}
+            </div>
+        )}
+        {element.assignments.length > 0 && (
+            <AssignmentList assignments={element.assignments} onSelectEntry={onSelectEntry} />
+        )}
+    </li>
+);
+
+const InterviewCard = ({ interview, index, expandedItems, toggleExpanded, onSelectEntry }) => {
+    const interviewId = `flow-${index}`;
+    const isExpanded = expandedItems.has(interviewId);
+
+    return (
+        <div className="border rounded mb-2">
+            <div className="flex items-center p-2 cursor-pointer hover:bg-gray-50" onClick={() => toggleExpanded(interviewId)}>
+                {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ml-2 ${interview.kind === 'process' ? 'bg-orange-100 text-orange-800' : 'bg-blue-100 text-blue-800'}`}>
+                    {interview.kind === 'process' ? 'Process Builder' : 'Flow'}
+                </span>
+                <span className="font-medium text-gray-900 ml-2">{interview.flowName || 'Unnamed interview'}</span>
+                {interview.id && <span className="font-mono text-xs text-gray-400 ml-2">{interview.id}</span>}
+                {interview.errors.length > 0 && (
+                    <span className="flex items-center gap-1 text-xs text-red-700 ml-2">
+                        <AlertOctagon size={12} />
+                        {interview.errors.length} errors
+                    </span>
+                )}
+                <span className="ml-auto text-xs text-gray-600">
+                    {interview.elements.length} elements · {formatNanos(interview.duration)}
+                </span>
+            </div>
+            {isExpanded && (
+                <div className="p-3 border-t space-y-2">
+                    {interview.entryId !== null && (
+                        <button onClick={() => onSelectEntry(interview.entryId)} className="text-sm text-blue-700 hover:underline">
+                            Show interview start in log
+                        </button>
+                    )}
+                    {interview.assignments.length > 0 && (
+                        <div>
+                            <div className="text-xs font-semibold text-gray-600">Initial values</div>
+                            <AssignmentList assignments={interview.assignments} onSelectEntry={onSelectEntry} />
+                        </div>
+                    )}
+                    <ol className="space-y-1">
+                        {interview.elements.map((element, step) => (
+                            <FlowElement key={element.entryId} element={element} step={step + 1} onSelectEntry={onSelectEntry} />
+                        ))}
+                    </ol>
+                    {interview.errors.map(error => (
+                        <button
+                            key={error.entryId}
+                            onClick={() => onSelectEntry(error.entryId)}
+                            className="block w-full text-left p-2 bg-red-50 border border-red-200 rounded font-mono text-xs text-red-900 whitespace-pre-wrap hover:underline"
+                        >
+                            {error.message}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const WorkflowCard = ({ workflow, onSelectEntry }) => (
+    <div className="border rounded mb-2 p-2">
+        <button onClick={() => onSelectEntry(workflow.entryId)} className="text-sm font-medium text-gray-900 hover:underline">
+            {workflow.kind} rules
+        </button>
+        <table className="w-full text-sm mt-1">
+            <tbody>
+                {workflow.rules.map(rule => (
+                    <tr key={rule.entryId} className="border-t align-top">
+                        <td className="px-2 py-1 w-6">
+                            {rule.met === true && <CheckCircle size={14} className="text-green-600" />}
+                            {rule.met === false && <XCircle size={14} className="text-gray-400" />}
+                        </td>
+                        <td className="px-2 py-1">
+                            <button onClick={() => onSelectEntry(rule.entryId)} className="hover:underline">{rule.name}</button>
+                        </td>
+                        <td className="px-2 py-1 text-gray-600">{rule.record}</td>
+                        <td className="px-2 py-1 font-mono text-xs text-gray-700">
+                            {rule.actions.map(action => <div key={action.entryId}>{action.text}</div>)}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+        {workflow.rules.length === 0 && workflow.actions.map(action => (
+            <div key={action.entryId} className="font-mono text-xs text-gray-700">{action.text}</div>
+        ))}
+    </div>
+);
+
+const FlowView = ({ automation, expandedItems, toggleExpanded, onSelectEntry }) => {
+    const { interviews, workflows } = automation;
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Flow interviews ({interviews.length})</h3>
+                {interviews.length === 0 && (
+                    <p className="text-sm text-gray-500">
+                        No flow or Process Builder interviews in this log.
+                        Set {INTERVIEW_REQUIREMENT.category} to {INTERVIEW_REQUIREMENT.level} or finer to record them.
+                    </p>
+                )}
+                {interviews.map((interview, index) => (
+                    <InterviewCard
+                        key={`${interview.id}-${index}`}
+                        interview={interview}
+                        index={index}
+                        expandedItems={expandedItems}
+                        toggleExpanded={toggleExpanded}
+                        onSelectEntry={onSelectEntry}
+                    />
+                ))}
+            </div>
+
+            {workflows.length > 0 && (
+                <div>
+                    <h3 className="font-semibold text-gray-800 mb-2">Workflow rule evaluations ({workflows.length})</h3>
+                    {workflows.map(workflow => (
+                        <WorkflowCard key={workflow.entryId} workflow={workflow} onSelectEntry={onSelectEntry} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FlowView;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Wraps every match of `matcher` (a global RegExp) in <mark>.
+const Highlight = ({ text, matcher }) => {
+    if (!matcher || text === null || text === undefined) return text ?? null;
+
+    const source = String(text);
+    const parts = [];
+    let lastIndex = 0;
+
+    matcher.lastIndex = 0;
+    for (const match of source.matchAll(matcher)) {
+        if (match[0] === '') continue;
+        if (match.index > lastIndex) parts.push(source.slice(lastIndex, match.index));
+        parts.push(<mark key={match.index} className="bg-yellow-200 rounded px-0.5">{match[0]}</mark>);
+        lastIndex = match.index + match[0].length;
+    }
+
+    if (parts.length === 0) return source;
+    if (lastIndex < source.length) parts.push(source.slice(lastIndex));
+    return <>{parts}</>;
+};
+
+export default Highlight;
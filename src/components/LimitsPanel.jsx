@@ -0,0 +1,111 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, AlertTriangle, Gauge } from 'lucide-react';
+import { classifyLimit, peakLimitUsage } from '../analysis/limits.js';
+
+const BAR_COLORS = {
+    ok: 'bg-green-500',
+    warning: 'bg-yellow-500',
+    critical: 'bg-red-600'
+};
+
+export const LimitBar = ({ limit }) => {
+    const { name, used, max, ratio, severity } = limit.severity ? limit : classifyLimit(limit);
+
+    return (
+        <div className="py-1">
+            <div className="flex items-center justify-between text-sm">
+                <span className={`${severity === 'ok' ? 'text-gray-700' : 'font-medium text-gray-900'} flex items-center gap-1`}>
+                    {severity !== 'ok' && (
+                        <AlertTriangle size={12} className={severity === 'critical' ? 'text-red-600' : 'text-yellow-600'} />
+                    )}
+                    {name}
+                </span>
+                <span className="font-mono text-xs text-gray-600">
+                    {used} / {max} ({Math.round(ratio * 100)}%)
+                </span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded mt-1 overflow-hidden">
+                <div
+                    className={`h-full ${BAR_COLORS[severity]}`}
+                    style={{ width: `${Math.min(100, ratio * 100)}%` }}
+                />
+            </div>
+        </div>
+    );
+};
+
+export const LimitBars = ({ limits, hideUnused = false }) => (
+    <div>
+        {limits
+            .filter(limit => !hideUnused || limit.used > 0)
+            .map(limit => <LimitBar key={limit.name} limit={limit} />)}
+    </div>
+);
+
+const LimitsPanel = ({ snapshots, expandedItems, toggleExpanded }) => {
+    if (snapshots.length === 0) return null;
+
+    const peaks = peakLimitUsage(snapshots);
+    const warnings = peaks.reduce(
+        (count, { limits }) => count + limits.filter(limit => limit.severity !== 'ok').length, 0
+    );
+    const detailsId = 'limits-details';
+    const isDetailsExpanded = expandedItems.has(detailsId);
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                    <Gauge size={20} />
+                    Governor Limits
+                </h2>
+                {warnings > 0 && (
+                    <span className="flex items-center gap-1 px-2 py-1 bg-yellow-100 text-yellow-800 rounded text-sm">
+                        <AlertTriangle size={14} />
+                        {warnings} limits near or over threshold
+                    </span>
+                )}
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-2">
+                {peaks.map(({ namespace, limits }) => (
+                    <div key={namespace}>
+                        <h3 className="font-semibold text-gray-700 mb-2">
+                            Peak usage · <span className="font-mono">{namespace}</span>
+                        </h3>
+                        <LimitBars limits={limits} />
+                    </div>
+                ))}
+            </div>
+
+            <div
+                className="flex items-center cursor-pointer hover:bg-gray-50 p-2 rounded mt-4"
+                onClick={() => toggleExpanded(detailsId)}
+            >
+                {isDetailsExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                <span className="font-semibold text-gray-700 ml-2">
+                    Per code unit ({snapshots.length} snapshots)
+                </span>
+            </div>
+
+            {isDetailsExpanded && (
+                <div className="ml-6 mt-2 space-y-4">
+                    {snapshots.map(snapshot => (
+                        <div key={snapshot.id} className="border-l-2 border-gray-200 pl-3">
+                            <div className="text-sm font-medium text-gray-800">
+                                {snapshot.codeUnit}
+                                <span className="font-mono text-gray-500 ml-2">({snapshot.namespace})</span>
+                                {snapshot.cumulative && (
+                                    <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">cumulative</span>
+                                )}
+                            </div>
+                            <LimitBars limits={snapshot.limits} hideUnused />
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LimitsPanel;
@@ -0,0 +1,160 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, GitCompare } from 'lucide-react';
+import { diffLogs } from '../analysis/diff.js';
+import { eventLabel } from '../parser/logEntry.js';
+
+// Unchanged events kept around each difference when collapsing.
+const CONTEXT_ROWS = 2;
+
+const ROW_STYLES = {
+    equal: '',
+    changed: 'bg-yellow-50',
+    removed: 'bg-red-50',
+    added: 'bg-green-50'
+};
+
+// Collapses long runs of equal rows into `{ type: 'skip', count }` markers.
+const collapseRows = (rows) => {
+    const keep = rows.map(row => row.type !== 'equal');
+    rows.forEach((row, index) => {
+        if (row.type === 'equal') return;
+        for (let offset = -CONTEXT_ROWS; offset <= CONTEXT_ROWS; offset++) {
+            if (keep[index + offset] !== undefined) keep[index + offset] = true;
+        }
+    });
+
+    const result = [];
+    rows.forEach((row, index) => {
+        if (keep[index]) {
+            result.push({ ...row, index });
+        } else if (result.length > 0 && result[result.length - 1].type === 'skip') {
+            result[result.length - 1].count++;
+        } else {
+            result.push({ type: 'skip', count: 1, index });
+        }
+    });
+    return result;
+};
+
+const DiffCell = ({ entry, side, showValue, changes = [], renderValue }) => {
+    if (!entry) return <td className="px-2 py-1 w-1/2 align-top" />;
+    const { parsed } = entry;
+
+    return (
+        <td className="px-2 py-1 w-1/2 align-top">
+            <div className="flex items-center gap-2 text-xs">
+                <span className="px-1.5 py-0.5 bg-blue-100 text-blue-800 rounded font-medium">{parsed.logType}</span>
+                {parsed.lineNumber && <span className="text-gray-500">[{parsed.lineNumber}]</span>}
+                {!showValue && <span className="font-mono text-gray-800 truncate">{eventLabel(parsed)}</span>}
+            </div>
+            {showValue && (
+                <div className="mt-1">{renderValue(parsed.parsedContent, `diff-${side}-${entry.id}`)}</div>
+            )}
+            {changes.length > 0 && (
+                <div className="mt-1 text-xs text-yellow-800">{changes.join(', ')}</div>
+            )}
+        </td>
+    );
+};
+
+const LogDiff = ({ tabs, activeTabId, prepareLogs = (entries) => entries, renderValue, expandedItems, toggleExpanded }) => {
+    const parsedTabs = tabs.filter(tab => tab.parsedLogs.length > 0);
+    const [leftId, setLeftId] = useState(activeTabId);
+    const [rightId, setRightId] = useState(() => {
+        const other = parsedTabs.find(tab => tab.id !== activeTabId);
+        return other ? other.id : activeTabId;
+    });
+    const [onlyDifferences, setOnlyDifferences] = useState(true);
+
+    const leftTab = parsedTabs.find(tab => tab.id === leftId) || parsedTabs[0];
+    const rightTab = parsedTabs.find(tab => tab.id === rightId) || parsedTabs[parsedTabs.length - 1];
+
+    const leftLogs = leftTab ? prepareLogs(leftTab.parsedLogs) : null;
+    const rightLogs = rightTab ? prepareLogs(rightTab.parsedLogs) : null;
+    const diff = useMemo(
+        () => (leftLogs && rightLogs ? diffLogs(leftLogs, rightLogs) : null),
+        [leftLogs, rightLogs]
+    );
+
+    if (parsedTabs.length < 2) {
+        return (
+            <p className="text-sm text-gray-500">
+                Open and format a second log (for example a passing and a failing run) to compare them.
+            </p>
+        );
+    }
+
+    const rows = onlyDifferences ? collapseRows(diff.rows) : diff.rows.map((row, index) => ({ ...row, index }));
+    const limitsId = 'diff-limits';
+
+    const tabSelect = (value, onChange) => (
+        <select value={value} onChange={(e) => onChange(Number(e.target.value))} className="border rounded px-2 py-1 text-sm">
+            {parsedTabs.map(tab => <option key={tab.id} value={tab.id}>{tab.name}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+                <GitCompare size={16} className="text-gray-500" />
+                {tabSelect(leftTab.id, setLeftId)}
+                <span className="text-gray-500">vs</span>
+                {tabSelect(rightTab.id, setRightId)}
+                <span className="text-red-700 ml-4">−{diff.summary.removed} removed</span>
+                <span className="text-green-700">+{diff.summary.added} added</span>
+                <span className="text-yellow-700">~{diff.summary.changed} changed</span>
+                <label className="flex items-center gap-1 ml-auto text-gray-600">
+                    <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+                    Only differences
+                </label>
+            </div>
+
+            {diff.limits.length > 0 && (
+                <div className="border rounded">
+                    <div className="flex items-center cursor-pointer hover:bg-gray-50 p-2" onClick={() => toggleExpanded(limitsId)}>
+                        {expandedItems.has(limitsId) ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                        <span className="font-semibold text-gray-700 ml-2">Limit usage differences ({diff.limits.length})</span>
+                    </div>
+                    {expandedItems.has(limitsId) && (
+                        <table className="w-full text-sm border-t">
+                            <tbody>
+                                {diff.limits.map(limit => (
+                                    <tr key={`${limit.namespace}-${limit.name}`} className="border-t">
+                                        <td className="px-3 py-1">{limit.name} <span className="text-gray-400">({limit.namespace})</span></td>
+                                        <td className="px-3 py-1 text-right font-mono">{limit.left ?? '—'}</td>
+                                        <td className="px-3 py-1 text-right font-mono">{limit.right ?? '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
+            <table className="w-full text-sm border rounded table-fixed">
+                <thead className="bg-gray-50 text-xs text-gray-600">
+                    <tr>
+                        <th className="text-left px-2 py-1 truncate">{leftTab.name}</th>
+                        <th className="text-left px-2 py-1 truncate">{rightTab.name}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (row.type === 'skip' ? (
+                        <tr key={`skip-${row.index}`} className="border-t bg-gray-50">
+                            <td colSpan={2} className="px-2 py-1 text-center text-xs text-gray-500">
+                                {row.count} identical events
+                            </td>
+                        </tr>
+                    ) : (
+                        <tr key={row.index} className={`border-t ${ROW_STYLES[row.type]}`}>
+                            <DiffCell entry={row.left} side="left" showValue={row.type === 'changed'} renderValue={renderValue} />
+                            <DiffCell entry={row.right} side="right" showValue={row.type === 'changed'} changes={row.changes} renderValue={renderValue} />
+                        </tr>
+                    )))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default LogDiff;
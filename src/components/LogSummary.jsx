@@ -0,0 +1,66 @@
+import React from 'react';
+import { AlertOctagon, AlertTriangle, FileText } from 'lucide-react';
+
+const LEVEL_STYLES = {
+    NONE: 'bg-gray-100 text-gray-500',
+    ERROR: 'bg-red-100 text-red-800',
+    WARN: 'bg-orange-100 text-orange-800',
+    INFO: 'bg-blue-100 text-blue-800',
+    DEBUG: 'bg-green-100 text-green-800',
+    FINE: 'bg-teal-100 text-teal-800',
+    FINER: 'bg-indigo-100 text-indigo-800',
+    FINEST: 'bg-purple-100 text-purple-800'
+};
+
+const LogSummary = ({ coverage, onSelectEntry }) => {
+    const { header, skipped, truncated, warnings } = coverage;
+    if (!header && skipped.length === 0 && !truncated) return null;
+
+    const skippedBytes = skipped.reduce((sum, { bytes }) => sum + bytes, 0);
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6 space-y-3">
+            {header && (
+                <div className="flex flex-wrap items-center gap-2">
+                    <span className="flex items-center gap-1 font-semibold text-gray-800 mr-2">
+                        <FileText size={18} />
+                        API {header.apiVersion}
+                    </span>
+                    {Object.entries(header.levels).map(([category, level]) => (
+                        <span key={category} className={`px-2 py-0.5 rounded text-xs font-medium ${LEVEL_STYLES[level] || 'bg-gray-100 text-gray-700'}`}>
+                            {category} · {level}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {truncated && (
+                <div className="flex items-center gap-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                    <AlertOctagon size={16} />
+                    Maximum debug log size reached: the end of this transaction is missing from the log.
+                </div>
+            )}
+
+            {skipped.length > 0 && (
+                <div className="flex items-center gap-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                    <AlertOctagon size={16} />
+                    <span>
+                        Salesforce skipped {skippedBytes.toLocaleString()} bytes of detailed log in {skipped.length} place{skipped.length > 1 ? 's' : ''}.
+                    </span>
+                    <button onClick={() => onSelectEntry(skipped[0].entryId)} className="underline hover:text-red-900">
+                        Show first
+                    </button>
+                </div>
+            )}
+
+            {warnings.map(warning => (
+                <div key={`${warning.category}-${warning.required}`} className="flex items-center gap-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+                    <AlertTriangle size={16} />
+                    {warning.message}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default LogSummary;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import Highlight from './Highlight.jsx';
+import { jsonNodeId, jsonChildNodeId, jsonChildren } from '../utils/nodeIds.js';
+
+const SCALAR_STYLES = {
+    string: 'text-green-700',
+    number: 'text-blue-700',
+    boolean: 'text-purple-700',
+    null: 'text-gray-500 italic'
+};
+
+const scalarKind = (value) => (value === null ? 'null' : typeof value);
+
+const JsonNode = ({ name, value, parentId, depth, matcher, expandedItems, toggleExpanded, focusedNodeId }) => {
+    const nodeId = jsonNodeId(value, parentId);
+    const keyLabel = name !== null && (
+        <span className="text-indigo-700"><Highlight text={JSON.stringify(name)} matcher={matcher} />: </span>
+    );
+
+    if (!nodeId) {
+        const kind = scalarKind(value);
+        return (
+            <div className="font-mono text-xs" style={{ paddingLeft: `${depth * 14}px` }}>
+                {keyLabel}
+                <span className={`whitespace-pre-wrap break-all ${SCALAR_STYLES[kind] || ''}`}>
+                    <Highlight text={JSON.stringify(value)} matcher={matcher} />
+                </span>
+            </div>
+        );
+    }
+
+    const isArray = Array.isArray(value);
+    const children = jsonChildren(value);
+    const isExpanded = expandedItems.has(nodeId);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    return (
+        <div className="font-mono text-xs">
+            <div
+                id={nodeId}
+                className={`flex items-center cursor-pointer hover:bg-gray-50 ${focusedNodeId === nodeId ? 'ring-1 ring-blue-400 bg-blue-50' : ''}`}
+                style={{ paddingLeft: `${depth * 14}px` }}
+                onClick={() => toggleExpanded(nodeId)}
+            >
+                <span className="w-3 -ml-3 flex-shrink-0">
+                    {isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                </span>
+                {keyLabel}
+                <span className="text-gray-600">{open}</span>
+                {!isExpanded && (
+                    <span className="text-gray-400">
+                        {' '}{children.length} {isArray ? 'items' : 'keys'} {close}
+                    </span>
+                )}
+            </div>
+            {isExpanded && (
+                <>
+                    {children.map(([key, child], index) => (
+                        <JsonNode
+                            key={key}
+                            name={isArray ? null : key}
+                            value={child}
+                            parentId={jsonChildNodeId(nodeId, value, index)}
+                            depth={depth + 1}
+                            matcher={matcher}
+                            expandedItems={expandedItems}
+                            toggleExpanded={toggleExpanded}
+                            focusedNodeId={focusedNodeId}
+                        />
+                    ))}
+                    <div className="text-gray-600" style={{ paddingLeft: `${depth * 14}px` }}>{close}</div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Colours tags apart from the text between them.
+const XmlText = ({ text, matcher }) => text.split(/(<[^>]+>)/).map((part, index) => (
+    part.startsWith('<')
+        ? <span key={index} className="text-blue-700"><Highlight text={part} matcher={matcher} /></span>
+        : <Highlight key={index} text={part} matcher={matcher} />
+));
+
+// Pretty-printed JSON or XML body, as returned by `parsePayload`. JSON nodes
+// open like any other node; their ids come from `collectPayloadNodes`, so
+// whoever shows the payload can open its whole body at once.
+const PayloadView = ({ payload, nodeId, matcher, expandedItems, toggleExpanded, focusedNodeId = null }) => (
+    <div className="bg-gray-50 border rounded p-2 pl-4 overflow-x-auto">
+        {payload.label && <div className="text-xs text-gray-500 mb-1">{payload.label}</div>}
+        {payload.format === 'json' ? (
+            <JsonNode
+                name={null}
+                value={payload.data}
+                parentId={nodeId}
+                depth={0}
+                matcher={matcher}
+                expandedItems={expandedItems}
+                toggleExpanded={toggleExpanded}
+                focusedNodeId={focusedNodeId}
+            />
+        ) : (
+            <pre className="font-mono text-xs text-gray-800 whitespace-pre-wrap">
+                <XmlText text={payload.text} matcher={matcher} />
+            </pre>
+        )}
+    </div>
+);
+
+export default PayloadView;
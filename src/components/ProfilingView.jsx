@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+
+// Rows shown before a table needs "Show all".
+const PAGE_SIZE = 100;
+
+const compareValues = (a, b) => {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+};
+
+// `columns` is [{ key, label, numeric, render }]; numeric columns sort
+// largest first on the first click and align right.
+export const SortableTable = ({ columns, rows, initialSort = null }) => {
+    const [sort, setSort] = useState({ column: initialSort, direction: -1 });
+    const [showAll, setShowAll] = useState(false);
+
+    const sorted = sort.column
+        ? [...rows].sort((a, b) => compareValues(a[sort.column], b[sort.column]) * sort.direction)
+        : rows;
+    const visible = showAll ? sorted : sorted.slice(0, PAGE_SIZE);
+
+    const toggleSort = (column) => {
+        setSort(current => (
+            current.column === column.key
+                ? { column: column.key, direction: -current.direction }
+                : { column: column.key, direction: column.numeric ? -1 : 1 }
+        ));
+    };
+
+    return (
+        <div className="overflow-x-auto border rounded">
+            <table className="text-sm min-w-full">
+                <thead className="bg-gray-50 text-gray-600 text-xs">
+                    <tr>
+                        {columns.map(column => (
+                            <th
+                                key={column.key}
+                                className={`px-2 py-1 cursor-pointer hover:bg-gray-100 whitespace-nowrap ${column.numeric ? 'text-right' : 'text-left'}`}
+                                onClick={() => toggleSort(column)}
+                            >
+                                <span className="inline-flex items-center gap-1">
+                                    {column.label}
+                                    {sort.column === column.key && (sort.direction === 1 ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                                </span>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {visible.map((row, index) => (
+                        <tr key={index} className="border-t align-top">
+                            {columns.map(column => (
+                                <td
+                                    key={column.key}
+                                    className={`px-2 py-1 ${column.numeric ? 'text-right font-mono whitespace-nowrap' : ''}`}
+                                >
+                                    {column.render ? column.render(row[column.key], row) : row[column.key] ?? '—'}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {sorted.length > visible.length && (
+                <button onClick={() => setShowAll(true)} className="w-full py-1 text-xs text-blue-600 hover:bg-blue-50 border-t">
+                    Show all {sorted.length} rows
+                </button>
+            )}
+        </div>
+    );
+};
+
+const nanos = (value) => formatNanos(Math.round(value));
+
+const CUMULATIVE_COLUMNS = [
+    { key: 'location', label: 'Location', render: (value) => <span className="font-mono text-xs">{value}</span> },
+    { key: 'line', label: 'Line', numeric: true },
+    { key: 'statement', label: 'Statement', render: (value) => <span className="font-mono text-xs break-all">{value}</span> },
+    { key: 'count', label: 'Count', numeric: true },
+    { key: 'time', label: 'Total', numeric: true, render: nanos },
+    { key: 'average', label: 'Average', numeric: true, render: nanos }
+];
+
+const METHOD_COLUMNS = [
+    { key: 'name', label: 'Method', render: (value) => <span className="font-mono text-xs">{value}</span> },
+    { key: 'count', label: 'Calls', numeric: true },
+    { key: 'total', label: 'Total', numeric: true, render: nanos },
+    { key: 'self', label: 'Self', numeric: true, render: nanos },
+    { key: 'average', label: 'Average', numeric: true, render: nanos }
+];
+
+const LINE_COLUMNS = [
+    { key: 'method', label: 'Method', render: (value) => <span className="font-mono text-xs">{value}</span> },
+    { key: 'line', label: 'Line', numeric: true },
+    { key: 'count', label: 'Executions', numeric: true },
+    { key: 'total', label: 'Total', numeric: true, render: nanos },
+    { key: 'self', label: 'Self', numeric: true, render: nanos },
+    { key: 'average', label: 'Average', numeric: true, render: nanos }
+];
+
+const ProfilingView = ({ profile, onSelectEntry }) => {
+    const { cumulative, methods, lines } = profile;
+    const reported = cumulative.filter(section => section.rows.length > 0);
+    const unreported = cumulative.filter(section => section.rows.length === 0);
+
+    if (cumulative.length === 0 && methods.length === 0 && lines.length === 0) {
+        return (
+            <p className="text-gray-500 text-sm">
+                No profiling data. Apex Code at FINE logs method events and at FINER statement events;
+                Apex Profiling at FINEST adds the cumulative profiling block.
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {cumulative.length > 0 && (
+                <section className="space-y-3">
+                    <h3 className="font-semibold text-gray-800">Cumulative profiling</h3>
+                    {reported.map(section => (
+                        <div key={section.entryId}>
+                            <button
+                                onClick={() => onSelectEntry(section.entryId)}
+                                className="text-sm font-medium text-blue-700 hover:underline mb-1 capitalize"
+                                title="Show in the log"
+                            >
+                                {section.section}
+                            </button>
+                            <SortableTable columns={CUMULATIVE_COLUMNS} rows={section.rows} initialSort="time" />
+                        </div>
+                    ))}
+                    {unreported.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                            Nothing reported for {unreported.map(section => section.section).join(', ')}.
+                        </p>
+                    )}
+                </section>
+            )}
+
+            <section className="space-y-3">
+                <div>
+                    <h3 className="font-semibold text-gray-800">Methods</h3>
+                    <p className="text-xs text-gray-500">From METHOD_ENTRY / METHOD_EXIT events</p>
+                </div>
+                {methods.length > 0
+                    ? <SortableTable columns={METHOD_COLUMNS} rows={methods} initialSort="total" />
+                    : <p className="text-sm text-gray-500">No method events in this log.</p>}
+            </section>
+
+            <section className="space-y-3">
+                <div>
+                    <h3 className="font-semibold text-gray-800">Lines</h3>
+                    <p className="text-xs text-gray-500">
+                        From STATEMENT_EXECUTE events; total includes the methods a line calls, self does not
+                    </p>
+                </div>
+                {lines.length > 0
+                    ? <SortableTable columns={LINE_COLUMNS} rows={lines} initialSort="total" />
+                    : <p className="text-sm text-gray-500">No statement events in this log (needs Apex Code at FINER).</p>}
+            </section>
+        </div>
+    );
+};
+
+export default ProfilingView;
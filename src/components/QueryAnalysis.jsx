@@ -0,0 +1,125 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+
+const QueryGroup = ({ group, index, expandedItems, toggleExpanded }) => {
+    const groupId = `soql-group-${index}`;
+    const isExpanded = expandedItems.has(groupId);
+
+    return (
+        <div className="border rounded mb-2">
+            <div
+                className="flex items-start cursor-pointer hover:bg-gray-50 p-2"
+                onClick={() => toggleExpanded(groupId)}
+            >
+                <span className="mt-0.5">
+                    {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                </span>
+                <span className="font-mono text-sm text-gray-800 ml-2 flex-1 break-all">{group.shape}</span>
+                {group.suspectedNPlusOne && (
+                    <span
+                        className="flex items-center gap-1 px-2 py-0.5 bg-red-100 text-red-700 rounded text-xs ml-2 flex-shrink-0"
+                        title="Same query shape executed repeatedly from one line"
+                    >
+                        <AlertTriangle size={12} />
+                        likely N+1
+                    </span>
+                )}
+                <span className="text-xs text-gray-600 ml-4 flex-shrink-0 w-56 text-right">
+                    {group.count}× · {group.rows} rows · {formatNanos(group.duration)}
+                </span>
+            </div>
+            {isExpanded && (
+                <table className="w-full text-sm border-t">
+                    <thead className="bg-gray-50 text-gray-600 text-xs">
+                        <tr>
+                            <th className="text-left px-3 py-1">Line</th>
+                            <th className="text-left px-3 py-1">Context</th>
+                            <th className="text-left px-3 py-1">Query</th>
+                            <th className="text-right px-3 py-1">Rows</th>
+                            <th className="text-right px-3 py-1">Duration</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {group.executions.map(query => (
+                            <tr key={query.id} className="border-t">
+                                <td className="px-3 py-1 text-gray-500">{query.line}</td>
+                                <td className="px-3 py-1 text-gray-600 truncate max-w-xs" title={query.context}>{query.context}</td>
+                                <td className="px-3 py-1 font-mono text-xs break-all">{query.query}</td>
+                                <td className="px-3 py-1 text-right font-mono">{query.rows ?? '—'}</td>
+                                <td className="px-3 py-1 text-right font-mono">{formatNanos(query.duration)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+const QueryAnalysis = ({ analysis, expandedItems, toggleExpanded }) => {
+    const { queries, dmls, groups } = analysis;
+    const suspects = groups.filter(group => group.suspectedNPlusOne).length;
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h3 className="font-semibold text-gray-800">
+                        SOQL ({queries.length} queries, {groups.length} distinct)
+                    </h3>
+                    {suspects > 0 && (
+                        <span className="flex items-center gap-1 text-sm text-red-700">
+                            <AlertTriangle size={14} />
+                            {suspects} likely N+1 patterns
+                        </span>
+                    )}
+                </div>
+                {groups.length === 0 && <p className="text-sm text-gray-500">No SOQL queries in this log.</p>}
+                {groups.map((group, index) => (
+                    <QueryGroup
+                        key={group.shape}
+                        group={group}
+                        index={index}
+                        expandedItems={expandedItems}
+                        toggleExpanded={toggleExpanded}
+                    />
+                ))}
+            </div>
+
+            <div>
+                <h3 className="font-semibold text-gray-800 mb-2">DML ({dmls.length} statements)</h3>
+                {dmls.length === 0 ? (
+                    <p className="text-sm text-gray-500">No DML statements in this log.</p>
+                ) : (
+                    <table className="w-full text-sm border rounded">
+                        <thead className="bg-gray-50 text-gray-600 text-xs">
+                            <tr>
+                                <th className="text-left px-3 py-1">Line</th>
+                                <th className="text-left px-3 py-1">Operation</th>
+                                <th className="text-left px-3 py-1">Object</th>
+                                <th className="text-left px-3 py-1">Context</th>
+                                <th className="text-right px-3 py-1">Rows</th>
+                                <th className="text-right px-3 py-1">Duration</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {dmls.map(dml => (
+                                <tr key={dml.id} className="border-t">
+                                    <td className="px-3 py-1 text-gray-500">{dml.line}</td>
+                                    <td className="px-3 py-1 font-medium">{dml.operation}</td>
+                                    <td className="px-3 py-1">{dml.objectType}</td>
+                                    <td className="px-3 py-1 text-gray-600 truncate max-w-xs" title={dml.context}>{dml.context}</td>
+                                    <td className="px-3 py-1 text-right font-mono">{dml.rows ?? '—'}</td>
+                                    <td className="px-3 py-1 text-right font-mono">{formatNanos(dml.duration)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default QueryAnalysis;
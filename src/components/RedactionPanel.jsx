@@ -0,0 +1,143 @@
+import React, { useState, useMemo } from 'react';
+import { Shield, Plus, X } from 'lucide-react';
+import { createRedactor, createTally } from '../analysis/redaction.js';
+
+// Samples listed per rule in the preview.
+const PREVIEW_SAMPLES = 5;
+
+// `summary` comes from the run that masks the log, so the tokens shown here
+// are the ones the views use. Until it arrives every rule reads zero.
+const RedactionPanel = ({ settings, onChange, summary }) => {
+    const [draft, setDraft] = useState({ label: '', pattern: '' });
+    const redactor = useMemo(() => createRedactor(settings), [settings]);
+    const preview = {
+        rules: summary || redactor.summarize(createTally()),
+        errors: redactor.errors
+    };
+
+    const toggleRule = (id) => {
+        const rules = new Set(settings.rules);
+        if (rules.has(id)) {
+            rules.delete(id);
+        } else {
+            rules.add(id);
+        }
+        onChange({ ...settings, rules });
+    };
+
+    const addCustomRule = () => {
+        if (!draft.pattern) return;
+        onChange({ ...settings, custom: [...settings.custom, draft] });
+        setDraft({ label: '', pattern: '' });
+    };
+
+    const removeCustomRule = (index) => {
+        onChange({ ...settings, custom: settings.custom.filter((rule, ruleIndex) => ruleIndex !== index) });
+    };
+
+    const errorFor = (index) => preview.errors.find(error => error.index === index);
+
+    return (
+        <div className="border rounded p-3 mb-4 bg-gray-50">
+            <div className="flex items-center justify-between mb-3">
+                <label className="flex items-center gap-2 font-medium text-gray-800">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+                    />
+                    <Shield size={16} />
+                    Mask sensitive data in views, copies and exports
+                </label>
+                <span className="text-xs text-gray-500">Runs in your browser; nothing is uploaded. The input box keeps the raw log.</span>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1">
+                    {preview.rules.map(rule => {
+                        const customIndex = rule.id.startsWith('custom-') ? Number(rule.id.substring(7)) : null;
+                        const checked = customIndex !== null || settings.rules.has(rule.id);
+
+                        return (
+                            <details key={rule.id} className="bg-white border rounded">
+                                <summary className="flex items-center gap-2 px-2 py-1 text-sm cursor-pointer">
+                                    {customIndex === null && (
+                                        <input
+                                            type="checkbox"
+                                            checked={checked}
+                                            onClick={(e) => e.stopPropagation()}
+                                            onChange={() => toggleRule(rule.id)}
+                                        />
+                                    )}
+                                    <span className={checked ? 'text-gray-800' : 'text-gray-400'}>{rule.label}</span>
+                                    <span className="ml-auto text-xs text-gray-500">
+                                        {rule.samples.length} values · {rule.count} matches
+                                    </span>
+                                    {customIndex !== null && (
+                                        <button
+                                            onClick={(e) => {
+                                                e.preventDefault();
+                                                removeCustomRule(customIndex);
+                                            }}
+                                            className="text-gray-400 hover:text-red-600"
+                                            title="Remove rule"
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    )}
+                                </summary>
+                                <div className="px-3 pb-2 font-mono text-xs space-y-0.5">
+                                    {rule.samples.length === 0 && <div className="text-gray-400">Nothing to mask.</div>}
+                                    {rule.samples.slice(0, PREVIEW_SAMPLES).map(sample => (
+                                        <div key={sample.token} className="flex gap-2">
+                                            <span className="text-red-700 line-through truncate max-w-xs" title={sample.original}>{sample.original}</span>
+                                            <span className="text-gray-400">→</span>
+                                            <span className="text-green-700">{sample.token}</span>
+                                        </div>
+                                    ))}
+                                    {rule.samples.length > PREVIEW_SAMPLES && (
+                                        <div className="text-gray-400">and {rule.samples.length - PREVIEW_SAMPLES} more</div>
+                                    )}
+                                </div>
+                            </details>
+                        );
+                    })}
+                </div>
+
+                <div>
+                    <div className="text-sm font-medium text-gray-700 mb-1">Custom rules</div>
+                    <div className="flex gap-2">
+                        <input
+                            value={draft.label}
+                            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+                            placeholder="Name"
+                            className="w-32 px-2 py-1 border rounded text-sm"
+                        />
+                        <input
+                            value={draft.pattern}
+                            onChange={(e) => setDraft({ ...draft, pattern: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Enter' && addCustomRule()}
+                            placeholder="Regular expression, e.g. ACC-\d{6}"
+                            className="flex-1 px-2 py-1 border rounded text-sm font-mono"
+                        />
+                        <button
+                            onClick={addCustomRule}
+                            disabled={!draft.pattern}
+                            className="px-2 py-1 border rounded text-sm bg-white hover:bg-gray-50 disabled:opacity-40 flex items-center gap-1"
+                        >
+                            <Plus size={14} />
+                            Add
+                        </button>
+                    </div>
+                    {settings.custom.map((rule, index) => errorFor(index) && (
+                        <div key={index} className="text-xs text-red-700 mt-1">
+                            {rule.label || rule.pattern}: {errorFor(index).message}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RedactionPanel;
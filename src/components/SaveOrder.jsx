@@ -0,0 +1,149 @@
+import React from 'react';
+import { ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import { formatNanos } from '../utils/format.js';
+
+const STEP_STYLES = {
+    trigger: 'bg-purple-100 text-purple-900 border-purple-300',
+    validation: 'bg-yellow-100 text-yellow-900 border-yellow-300',
+    duplicate: 'bg-teal-100 text-teal-900 border-teal-300',
+    flow: 'bg-blue-100 text-blue-900 border-blue-300',
+    workflow: 'bg-green-100 text-green-900 border-green-300',
+    dml: 'bg-orange-100 text-orange-900 border-orange-300'
+};
+
+const STEP_TITLES = {
+    trigger: 'Trigger',
+    validation: 'Validation rule',
+    duplicate: 'Duplicate rule',
+    flow: 'Flow',
+    workflow: 'Workflow field update',
+    dml: 'Nested DML'
+};
+
+const StepChip = ({ step, onSelectEntry }) => (
+    <button
+        onClick={() => onSelectEntry(step.entryId)}
+        className={`w-full text-left border rounded px-1.5 py-1 text-xs hover:shadow ${STEP_STYLES[step.kind]} ${step.reentrant ? 'ring-2 ring-red-500' : ''}`}
+        title={`${STEP_TITLES[step.kind]}${step.reentrant ? ' (re-entrant)' : ''} · ${formatNanos(step.duration)}`}
+    >
+        <div className="flex items-center gap-1">
+            {step.reentrant && <RefreshCw size={10} className="text-red-600 flex-shrink-0" />}
+            <span className="font-medium truncate">{step.label}</span>
+        </div>
+        <div className="flex items-center gap-1 text-[10px] opacity-75">
+            {step.phase && <span>{step.phase}</span>}
+            {step.result && <span className={step.result === 'fail' ? 'text-red-700 font-semibold' : ''}>{step.result}</span>}
+            {step.depth > 0 && <span className="ml-auto">depth {step.depth}</span>}
+        </div>
+    </button>
+);
+
+const Swimlanes = ({ operation, laneIdPrefix, expandedItems, toggleExpanded, onSelectEntry }) => {
+    const columns = operation.steps.length;
+
+    return (
+        <div className="overflow-x-auto">
+            <div
+                className="grid gap-1 items-start"
+                style={{ gridTemplateColumns: `10rem repeat(${Math.max(columns, 1)}, minmax(8rem, 1fr))` }}
+            >
+                {operation.lanes.map(lane => {
+                    // Lanes start open, so the toggled state is the collapsed one.
+                    const laneId = `${laneIdPrefix}-lane-${lane.objectType}-collapsed`;
+                    const isCollapsed = expandedItems.has(laneId);
+
+                    return (
+                        <React.Fragment key={lane.objectType}>
+                            <div
+                                className="flex items-center gap-1 text-sm font-medium text-gray-800 cursor-pointer sticky left-0 bg-white py-1"
+                                onClick={() => toggleExpanded(laneId)}
+                            >
+                                {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                                {lane.objectType}
+                                <span className="text-xs text-gray-500 font-normal">({lane.steps.length})</span>
+                            </div>
+                            {isCollapsed ? (
+                                <div className="border-b border-dashed" style={{ gridColumn: `span ${Math.max(columns, 1)}` }} />
+                            ) : (
+                                operation.steps.map(step => (
+                                    <div key={step.seq} className="min-h-[2.5rem] border-l border-gray-100 px-0.5">
+                                        {(step.objectType || 'Unknown') === lane.objectType && (
+                                            <StepChip step={step} onSelectEntry={onSelectEntry} />
+                                        )}
+                                    </div>
+                                ))
+                            )}
+                        </React.Fragment>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const SaveOrder = ({ operations, expandedItems, toggleExpanded, onSelectEntry }) => {
+    if (operations.length === 0) {
+        return <p className="text-sm text-gray-500">No DML statements in this log.</p>;
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap gap-2 text-xs">
+                {Object.entries(STEP_TITLES).map(([kind, title]) => (
+                    <span key={kind} className={`border rounded px-2 py-0.5 ${STEP_STYLES[kind]}`}>{title}</span>
+                ))}
+                <span className="flex items-center gap-1 border rounded px-2 py-0.5 ring-2 ring-red-500">
+                    <RefreshCw size={10} className="text-red-600" />
+                    Re-entrant trigger
+                </span>
+            </div>
+
+            {operations.map(operation => {
+                const operationId = `save-${operation.id}`;
+                const isExpanded = expandedItems.has(operationId);
+
+                return (
+                    <div key={operation.id} className="border rounded">
+                        <div className="flex items-center p-2 cursor-pointer hover:bg-gray-50" onClick={() => toggleExpanded(operationId)}>
+                            {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                            <span className="px-2 py-0.5 bg-orange-100 text-orange-800 rounded text-xs font-medium ml-2">
+                                {operation.operation || 'DML'}
+                            </span>
+                            <span className="font-medium text-gray-900 ml-2">{operation.objectType}</span>
+                            {operation.line && <span className="text-xs text-gray-500 ml-2">line {operation.line}</span>}
+                            {operation.reentrant > 0 && (
+                                <span className="flex items-center gap-1 px-2 py-0.5 bg-red-100 text-red-700 rounded text-xs ml-2">
+                                    <RefreshCw size={12} />
+                                    {operation.reentrant} re-entrant trigger fires
+                                </span>
+                            )}
+                            <span className="ml-auto text-xs text-gray-600">
+                                {operation.rows ?? '—'} rows · {operation.steps.length} steps · {formatNanos(operation.duration)}
+                            </span>
+                        </div>
+                        {isExpanded && (
+                            <div className="p-3 border-t">
+                                <button onClick={() => onSelectEntry(operation.entryId)} className="text-sm text-blue-700 hover:underline mb-2">
+                                    Show DML in log
+                                </button>
+                                {operation.steps.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No triggers or automation ran for this statement.</p>
+                                ) : (
+                                    <Swimlanes
+                                        operation={operation}
+                                        laneIdPrefix={operationId}
+                                        expandedItems={expandedItems}
+                                        toggleExpanded={toggleExpanded}
+                                        onSelectEntry={onSelectEntry}
+                                    />
+                                )}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default SaveOrder;
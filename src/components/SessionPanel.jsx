@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Save, FolderOpen, Download, Trash2 } from 'lucide-react';
+import { listSessions, deleteSession, updateSessionDetails } from '../utils/sessionStore.js';
+
+const formatSize = (characters) => (
+    characters >= 1e6 ? `${(characters / 1e6).toFixed(1)} MB` : `${Math.ceil(characters / 1e3)} KB`
+);
+
+const SessionRecord = ({ record, onOpen, onChanged, onError }) => {
+    const [notes, setNotes] = useState(record.notes);
+
+    const saveNotes = async () => {
+        if (notes === record.notes) return;
+        try {
+            await updateSessionDetails(record.id, { name: record.name, notes });
+            onChanged();
+        } catch (err) {
+            onError(`Failed to save notes: ${err.message}`);
+        }
+    };
+
+    const remove = async () => {
+        try {
+            await deleteSession(record.id);
+            onChanged();
+        } catch (err) {
+            onError(`Failed to delete session: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="border rounded p-2 bg-white">
+            <div className="flex items-center gap-2">
+                <button onClick={() => onOpen(record.id)} className="font-medium text-blue-700 hover:underline truncate">
+                    {record.name || 'Untitled session'}
+                </button>
+                <span className="text-xs text-gray-500">
+                    {new Date(record.savedAt).toLocaleString()} · {record.tabCount} tabs · {formatSize(record.size)}
+                </span>
+                <button
+                    onClick={remove}
+                    className="ml-auto p-1 text-gray-400 hover:text-red-600"
+                    title="Delete session"
+                >
+                    <Trash2 size={14} />
+                </button>
+            </div>
+            <input
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                onBlur={saveNotes}
+                placeholder="Add a note…"
+                className="w-full mt-1 px-2 py-0.5 text-sm border-0 border-b border-transparent focus:border-gray-300 outline-none bg-transparent"
+            />
+        </div>
+    );
+};
+
+const SessionPanel = ({ defaultName, onSave, onOpen, onSaveFile, onOpenFile, error, onError }) => {
+    const [records, setRecords] = useState([]);
+    const [name, setName] = useState(defaultName);
+    const [notes, setNotes] = useState('');
+
+    const refresh = useCallback(() => {
+        listSessions()
+            .then(setRecords)
+            .catch((err) => console.error('Failed to list sessions: ', err));
+    }, []);
+
+    useEffect(refresh, [refresh]);
+
+    const save = async () => {
+        await onSave({ name, notes });
+        setNotes('');
+        refresh();
+    };
+
+    return (
+        <div className="border rounded p-3 mb-4 bg-gray-50 space-y-3">
+            <div className="flex gap-2">
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Session name"
+                    className="w-56 px-2 py-1 border rounded text-sm"
+                />
+                <input
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="Notes"
+                    className="flex-1 px-2 py-1 border rounded text-sm"
+                />
+                <button onClick={save} className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 flex items-center gap-1">
+                    <Save size={14} />
+                    Save
+                </button>
+                <button
+                    onClick={() => onSaveFile({ name, notes })}
+                    className="px-3 py-1 border rounded text-sm bg-white hover:bg-gray-50 flex items-center gap-1"
+                    title="Download the session to share it"
+                >
+                    <Download size={14} />
+                    Save to File
+                </button>
+                <button onClick={onOpenFile} className="px-3 py-1 border rounded text-sm bg-white hover:bg-gray-50 flex items-center gap-1">
+                    <FolderOpen size={14} />
+                    Open File
+                </button>
+            </div>
+
+            {error && <div className="text-sm text-red-700">{error}</div>}
+
+            <div className="space-y-2 max-h-72 overflow-y-auto">
+                {records.length === 0 && <p className="text-sm text-gray-500">No saved sessions yet.</p>}
+                {records.map(record => (
+                    <SessionRecord key={record.id} record={record} onOpen={onOpen} onChanged={refresh} onError={onError} />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SessionPanel;
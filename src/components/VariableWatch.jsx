@@ -0,0 +1,200 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Eye, Search } from 'lucide-react';
+import { valueAt } from '../analysis/variables.js';
+import VirtualList from './VirtualList.jsx';
+
+// Height of one History row, before it is measured.
+const HISTORY_ROW_HEIGHT = 29;
+
+const VariableWatch = ({ execution, renderValue, onSelectEntry }) => {
+    const { steps, variables } = execution;
+    const [watched, setWatched] = useState(() => new Set(variables.slice(0, 1).map(variable => variable.name)));
+    const [nameFilter, setNameFilter] = useState('');
+    const [includeStatements, setIncludeStatements] = useState(false);
+    const [position, setPosition] = useState(0);
+
+    // The replay walks assignments to watched variables, plus statements if asked.
+    const timeline = useMemo(() => steps.filter(step => (
+        step.kind === 'assignment' ? watched.has(step.name) : includeStatements
+    )), [steps, watched, includeStatements]);
+
+    const cursor = Math.min(position, Math.max(timeline.length - 1, 0));
+    const current = timeline[cursor] || null;
+
+    // With statements included the History can run to hundreds of thousands
+    // of rows, so it is windowed and follows the cursor.
+    const historyRef = useRef(null);
+    useEffect(() => {
+        if (historyRef.current) historyRef.current.scrollToIndex(cursor, { nearest: true });
+    }, [cursor, includeStatements]);
+
+    if (variables.length === 0) {
+        return (
+            <p className="text-sm text-gray-500">
+                No VARIABLE_ASSIGNMENT events in this log. Set APEX_CODE to FINEST to record variable values.
+            </p>
+        );
+    }
+
+    const toggleWatched = (name) => {
+        const next = new Set(watched);
+        if (next.has(name)) {
+            next.delete(name);
+        } else {
+            next.add(name);
+        }
+        setWatched(next);
+        setPosition(0);
+    };
+
+    const visibleVariables = variables.filter(variable => (
+        variable.name.toLowerCase().includes(nameFilter.toLowerCase())
+    ));
+
+    const renderStep = (step, index) => (
+        <div
+            onClick={() => setPosition(index)}
+            className={`flex items-center gap-3 px-2 py-1 text-sm cursor-pointer ${index > 0 ? 'border-t' : ''} ${index === cursor ? 'bg-blue-100' : 'hover:bg-gray-50'}`}
+        >
+            <span className="text-xs text-gray-500 w-16">{step.line !== null ? `line ${step.line}` : ''}</span>
+            {step.kind === 'assignment' ? (
+                <span className="font-mono truncate">
+                    <span className="text-indigo-700">{step.name}</span> = {step.rawValue}
+                </span>
+            ) : (
+                <span className="text-gray-500 italic">statement</span>
+            )}
+            <span className="ml-auto text-xs text-gray-400 truncate max-w-xs">{step.method}</span>
+        </div>
+    );
+
+    return (
+        <div className="flex gap-4">
+            <div className="w-64 flex-shrink-0">
+                <div className="flex items-center border rounded px-2 mb-2">
+                    <Search size={14} className="text-gray-400" />
+                    <input
+                        value={nameFilter}
+                        onChange={(e) => setNameFilter(e.target.value)}
+                        placeholder="Filter variables…"
+                        className="flex-1 px-2 py-1 text-sm outline-none"
+                    />
+                </div>
+                <div className="border rounded max-h-96 overflow-y-auto">
+                    {visibleVariables.map(variable => (
+                        <label key={variable.name} className="flex items-center gap-2 px-2 py-1 text-sm hover:bg-gray-50 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={watched.has(variable.name)}
+                                onChange={() => toggleWatched(variable.name)}
+                            />
+                            <span className="font-mono truncate flex-1" title={variable.name}>{variable.name}</span>
+                            {variable.type && <span className="text-xs text-gray-400 truncate max-w-[5rem]">{variable.type}</span>}
+                            <span className="text-xs text-gray-500">{variable.count}</span>
+                        </label>
+                    ))}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-600 mt-2">
+                    <input
+                        type="checkbox"
+                        checked={includeStatements}
+                        onChange={(e) => {
+                            setIncludeStatements(e.target.checked);
+                            setPosition(0);
+                        }}
+                    />
+                    Step through statements
+                </label>
+            </div>
+
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 mb-3">
+                    <button onClick={() => setPosition(0)} disabled={cursor === 0} className="p-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="First step">
+                        <ChevronsLeft size={16} />
+                    </button>
+                    <button onClick={() => setPosition(cursor - 1)} disabled={cursor === 0} className="p-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Step back">
+                        <ChevronLeft size={16} />
+                    </button>
+                    <input
+                        type="range"
+                        min={0}
+                        max={Math.max(timeline.length - 1, 0)}
+                        value={cursor}
+                        onChange={(e) => setPosition(Number(e.target.value))}
+                        className="flex-1"
+                    />
+                    <button onClick={() => setPosition(cursor + 1)} disabled={cursor >= timeline.length - 1} className="p-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Step forward">
+                        <ChevronRight size={16} />
+                    </button>
+                    <button onClick={() => setPosition(timeline.length - 1)} disabled={cursor >= timeline.length - 1} className="p-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Last step">
+                        <ChevronsRight size={16} />
+                    </button>
+                    <span className="text-sm text-gray-600 w-24 text-right">
+                        {timeline.length > 0 ? `${cursor + 1} / ${timeline.length}` : '0 / 0'}
+                    </span>
+                </div>
+
+                {current && (
+                    <div className="p-2 mb-3 bg-blue-50 border border-blue-200 rounded text-sm flex items-center gap-3">
+                        <span className="font-medium text-blue-900">
+                            {current.kind === 'assignment' ? `${current.name} assigned` : 'Statement'}
+                        </span>
+                        {current.line !== null && <span className="text-gray-600">line {current.line}</span>}
+                        {current.method && <span className="font-mono text-gray-600 truncate">in {current.method}</span>}
+                        <button onClick={() => onSelectEntry(current.entryId)} className="ml-auto text-blue-700 hover:underline">
+                            Show in log
+                        </button>
+                    </div>
+                )}
+
+                <h3 className="font-semibold text-gray-700 mb-1 flex items-center gap-1">
+                    <Eye size={14} />
+                    Watched values
+                </h3>
+                {watched.size === 0 && <p className="text-sm text-gray-500">Pick variables on the left to watch them.</p>}
+                <table className="w-full text-sm border rounded mb-4">
+                    <tbody>
+                        {Array.from(watched).map(name => {
+                            const assignment = valueAt(timeline, name, cursor);
+                            const changedNow = current && current.kind === 'assignment' && current.name === name;
+                            return (
+                                <tr key={name} className={`border-t align-top ${changedNow ? 'bg-yellow-50' : ''}`}>
+                                    <td className="px-2 py-1 font-mono w-48">{name}</td>
+                                    <td className="px-2 py-1">
+                                        {assignment
+                                            ? renderValue(assignment.value, `watch-${assignment.entryId}`)
+                                            : <span className="text-gray-400 italic">not yet assigned</span>}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+
+                <h3 className="font-semibold text-gray-700 mb-1">History</h3>
+                {includeStatements ? (
+                    <div className="border rounded">
+                        <VirtualList
+                            ref={historyRef}
+                            items={timeline}
+                            getKey={(step) => step.index}
+                            renderItem={renderStep}
+                            estimatedHeight={HISTORY_ROW_HEIGHT}
+                            overscan={HISTORY_ROW_HEIGHT * 20}
+                            height="20rem"
+                            rowClassName=""
+                        />
+                    </div>
+                ) : (
+                    <div className="border rounded max-h-80 overflow-y-auto">
+                        {timeline.map((step, index) => (
+                            <React.Fragment key={step.index}>{renderStep(step, index)}</React.Fragment>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VariableWatch;
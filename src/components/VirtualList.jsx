@@ -0,0 +1,137 @@
+import React, { useState, useRef, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
+
+/**
+ * Windowed list for variable-height rows. Only rows inside the viewport (plus
+ * `overscan` pixels either side) are mounted; row heights are measured once
+ * rendered and `estimatedHeight` is used until then. The ref exposes
+ * `scrollToIndex(index, { nearest })`; with `nearest` the list only scrolls
+ * as far as needed to show the row, as when stepping through rows.
+ * `rowClassName` spaces the rows; it defaults to the gap between log entries.
+ */
+const VirtualList = forwardRef(({
+    items,
+    renderItem,
+    getKey = (item, index) => index,
+    estimatedHeight = 120,
+    overscan = 800,
+    height = '75vh',
+    rowClassName = 'pb-4'
+}, ref) => {
+    const containerRef = useRef(null);
+    const heightsRef = useRef(new Map());
+    const observerRef = useRef(null);
+    const rowRefsRef = useRef(new Map());
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(800);
+    const [, setMeasureVersion] = useState(0);
+    const offsetsRef = useRef([]);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        setViewportHeight(container.clientHeight);
+
+        const viewportObserver = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+        viewportObserver.observe(container);
+
+        observerRef.current = new ResizeObserver((records) => {
+            let changed = false;
+            records.forEach(({ target }) => {
+                const key = target.dataset.key;
+                const measured = target.offsetHeight;
+                if (heightsRef.current.get(key) !== measured) {
+                    heightsRef.current.set(key, measured);
+                    changed = true;
+                }
+            });
+            if (changed) setMeasureVersion(version => version + 1);
+        });
+
+        return () => {
+            viewportObserver.disconnect();
+            observerRef.current.disconnect();
+        };
+    }, []);
+
+    // One ref callback per row key, remembering the element it observes so
+    // the element is unobserved when the row unmounts or is replaced.
+    const measureRow = useCallback((key) => {
+        if (!rowRefsRef.current.has(key)) {
+            let observed = null;
+            rowRefsRef.current.set(key, (element) => {
+                if (observed) observerRef.current?.unobserve(observed);
+                observed = element;
+                if (element) observerRef.current?.observe(element);
+                else rowRefsRef.current.delete(key);
+            });
+        }
+        return rowRefsRef.current.get(key);
+    }, []);
+
+    const offsets = new Array(items.length + 1);
+    offsets[0] = 0;
+    for (let index = 0; index < items.length; index++) {
+        const measured = heightsRef.current.get(String(getKey(items[index], index)));
+        offsets[index + 1] = offsets[index] + (measured ?? estimatedHeight);
+    }
+    offsetsRef.current = offsets;
+
+    useImperativeHandle(ref, () => ({
+        scrollToIndex: (index, { nearest = false } = {}) => {
+            const offset = offsetsRef.current[index];
+            if (offset === undefined) return;
+
+            const container = containerRef.current;
+            if (!nearest || offset < container.scrollTop) {
+                container.scrollTop = offset;
+            } else if (offsetsRef.current[index + 1] > container.scrollTop + container.clientHeight) {
+                container.scrollTop = Math.min(offset, offsetsRef.current[index + 1] - container.clientHeight);
+            }
+        }
+    }), []);
+
+    // First row whose bottom edge is below the top of the render window.
+    const findIndex = (position) => {
+        let low = 0;
+        let high = items.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (offsets[mid + 1] <= position) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    };
+
+    const start = findIndex(Math.max(0, scrollTop - overscan));
+    const end = Math.min(items.length - 1, findIndex(scrollTop + viewportHeight + overscan));
+    const visible = [];
+    for (let index = start; index <= end && items.length > 0; index++) {
+        visible.push(index);
+    }
+
+    return (
+        <div
+            ref={containerRef}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+            style={{ height, overflowY: 'auto' }}
+        >
+            <div style={{ height: `${offsets[items.length]}px`, position: 'relative' }}>
+                {visible.map(index => {
+                    const key = String(getKey(items[index], index));
+                    return (
+                        <div
+                            key={key}
+                            ref={measureRow(key)}
+                            data-key={key}
+                            className={rowClassName}
+                            style={{ position: 'absolute', top: `${offsets[index]}px`, left: 0, right: 0, display: 'flow-root' }}
+                        >
+                            {renderItem(items[index], index)}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+});
+
+export default VirtualList;
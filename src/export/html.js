@@ -0,0 +1,103 @@
+/**
+ * Self-contained HTML report: no scripts or external assets, nested
+ * structures collapse through native <details> elements.
+ */
+import { formatEntryHeader, formatProfilingRow } from './text.js';
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f3f4f6; color: #1f2937; margin: 0; padding: 24px; }
+h1 { margin: 0 0 4px; font-size: 24px; }
+.meta { color: #6b7280; margin-bottom: 16px; }
+.entry { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 12px; overflow: hidden; }
+.entry-header { background: #f9fafb; border-bottom: 1px solid #e5e7eb; padding: 8px 16px; font-family: monospace; font-size: 13px; }
+.entry-body { padding: 8px 16px; }
+.unparsed { background: #f9fafb; border-left: 4px solid #9ca3af; padding: 8px 12px; margin-bottom: 12px; }
+.type { background: #dbeafe; color: #1e40af; border-radius: 4px; padding: 1px 6px; }
+.text, .unparsed { font-family: monospace; font-size: 13px; white-space: pre-wrap; }
+details { margin-left: 16px; }
+summary { cursor: pointer; font-weight: 600; }
+.object { color: #2563eb; } .complex { color: #9333ea; } .array { color: #16a34a; } .kv { color: #ea580c; }
+.count { color: #6b7280; font-weight: normal; margin-left: 6px; }
+.field { padding: 2px 0 2px 12px; border-left: 2px solid #e5e7eb; }
+.key { color: #4f46e5; font-weight: 500; margin-right: 6px; }
+`;
+
+const renderField = (field) => (
+    field.type === 'keyValue'
+        ? `<div class="field"><span class="key">${escapeHtml(field.key)}:</span>${renderValue(field.value)}</div>`
+        : `<div class="field text">${escapeHtml(field.content)}</div>`
+);
+
+const renderGroup = (className, label, count, children) => (
+    `<details><summary class="${className}">${escapeHtml(label)}<span class="count">${escapeHtml(count)}</span></summary>${children}</details>`
+);
+
+const renderValue = (value) => {
+    if (!value) return '';
+    if (value.label) {
+        return `<span class="key">${escapeHtml(value.label)}:</span>${renderValue({ ...value, label: undefined })}`;
+    }
+
+    switch (value.type) {
+        case 'object':
+            return renderGroup('object', value.name, `(${value.fields.length} fields)`, value.fields.map(renderField).join(''));
+        case 'complex':
+            return renderGroup('complex', value.name, `(${value.fields.length} fields)`, value.fields.map(renderField).join(''));
+        case 'map':
+            return renderGroup('kv', 'Map', `{${value.entries.length} entries}`,
+                value.entries.map(entry => `<div class="field"><span class="key">${escapeHtml(entry.key)} =&gt;</span>${renderValue(entry.value)}</div>`).join(''));
+        case 'set':
+            return renderGroup('array', 'Set', `{${value.items.length} items}`,
+                value.items.map(item => `<div class="field">${renderValue(item)}</div>`).join(''));
+        case 'array':
+            return renderGroup('array', value.name || 'List', `[${value.items.length} items]`,
+                value.items.map((item, index) => `<div class="field"><span class="count">[${index}]</span> ${renderValue(item)}</div>`).join(''));
+        case 'keyValueList':
+            return renderGroup('kv', 'Key-Value Pairs', `(${value.pairs.length} pairs)`, value.pairs.map(renderField).join(''));
+        case 'payload': {
+            const body = value.format === 'json' ? JSON.stringify(value.data, null, 2) : value.text;
+            return renderGroup('kv', value.format.toUpperCase(), value.truncated ? '(truncated)' : '',
+                `<pre class="text">${escapeHtml(body)}</pre>`);
+        }
+        case 'limitUsage':
+            return renderGroup('kv', `Limits (${value.namespace})`, `(${value.limits.length} limits)`,
+                value.limits.map(limit => `<div class="field text">${escapeHtml(`${limit.name}: ${limit.used} / ${limit.max}`)}</div>`).join(''));
+        case 'profiling':
+            return renderGroup('kv', `Profiling (${value.section})`, `(${value.rows.length} rows)`,
+                value.rows.map(row => `<div class="field text">${escapeHtml(formatProfilingRow(row))}</div>`).join(''));
+        default:
+            return `<span class="text">${escapeHtml(value.value)}</span>`;
+    }
+};
+
+const renderEntry = (entry) => {
+    const { parsed } = entry;
+    if (parsed.type !== 'parsed') {
+        return `<div class="unparsed">${escapeHtml(parsed.content)}</div>`;
+    }
+
+    const header = escapeHtml(formatEntryHeader(parsed))
+        .replace(escapeHtml(parsed.logType), `<span class="type">${escapeHtml(parsed.logType)}</span>`);
+    return `<div class="entry"><div class="entry-header">${header}</div><div class="entry-body">${renderValue(parsed.parsedContent)}</div></div>`;
+};
+
+export const toHtmlReport = (entries, { title = 'Salesforce Debug Log' } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${entries.length} entries · generated ${escapeHtml(new Date().toISOString())}</div>
+${entries.map(renderEntry).join('\n')}
+</body>
+</html>
+`;
@@ -0,0 +1,5 @@
+export { toText, formatEntry, formatValue } from './text.js';
+export { toHtmlReport } from './html.js';
+
+// The AST as produced by `parseLog`, minus nothing: it is already plain data.
+export const toJson = (entries) => JSON.stringify(entries, null, 2);
@@ -0,0 +1,78 @@
+/**
+ * Plain-text rendering of parsed log entries with nested structures indented
+ * two spaces per level.
+ */
+
+const pad = (depth) => '  '.repeat(depth);
+
+const formatField = (field, depth) => (
+    field.type === 'keyValue'
+        ? `${field.key}: ${formatValue(field.value, depth)}`
+        : field.content
+);
+
+export const formatProfilingRow = (row) => (
+    `${row.location}${row.line !== null ? ` line ${row.line}` : ''}: ${row.statement} (${row.count}× in ${row.time} ms)`
+);
+
+const formatBlock = (open, close, lines, depth) => (
+    lines.length === 0
+        ? `${open}${close}`
+        : `${open}\n${lines.map(line => pad(depth + 1) + line).join('\n')}\n${pad(depth)}${close}`
+);
+
+export const formatValue = (value, depth = 0) => {
+    if (!value) return '';
+    if (value.label) return `${value.label}: ${formatValue({ ...value, label: undefined }, depth)}`;
+
+    switch (value.type) {
+        case 'object':
+            return formatBlock(`${value.name} {`, '}', value.fields.map(field => formatField(field, depth + 1)), depth);
+        case 'complex':
+            return formatBlock(`${value.name}(`, ')', value.fields.map(field => formatField(field, depth + 1)), depth);
+        case 'array':
+            return formatBlock(value.name ? `${value.name} [` : '[', ']', value.items.map(item => formatValue(item, depth + 1)), depth);
+        case 'map':
+            return formatBlock('{', '}', value.entries.map(entry => `${entry.key} => ${formatValue(entry.value, depth + 1)}`), depth);
+        case 'set':
+            return formatBlock('Set {', '}', value.items.map(item => formatValue(item, depth + 1)), depth);
+        case 'keyValueList':
+            return value.pairs
+                .map((pair, index) => (index === 0 ? '' : pad(depth)) + formatField(pair, depth))
+                .join('\n');
+        case 'payload': {
+            const body = value.format === 'json' ? JSON.stringify(value.data, null, 2) : value.text;
+            const note = value.truncated ? ' (truncated)' : '';
+            return `${value.format.toUpperCase()}${note}:\n${pad(depth + 1)}${body.split('\n').join(`\n${pad(depth + 1)}`)}`;
+        }
+        case 'limitUsage':
+            return formatBlock(
+                `Limits (${value.namespace}):`,
+                '',
+                value.limits.map(limit => `${limit.name}: ${limit.used} / ${limit.max}`),
+                depth
+            ).trimEnd();
+        case 'profiling':
+            return formatBlock(`Profiling (${value.section}):`, '', value.rows.map(formatProfilingRow), depth).trimEnd();
+        default:
+            return String(value.value ?? '').split('\n').join(`\n${pad(depth)}`);
+    }
+};
+
+export const formatEntryHeader = (parsed) => [
+    parsed.timestamp,
+    `(${parsed.executionTime})`,
+    parsed.logType,
+    parsed.lineNumber ? `[${parsed.lineNumber}]` : null,
+    parsed.level
+].filter(Boolean).join(' ');
+
+export const formatEntry = (entry) => {
+    const { parsed } = entry;
+    if (parsed.type !== 'parsed') return parsed.content;
+
+    const body = formatValue(parsed.parsedContent, 1);
+    return body ? `${formatEntryHeader(parsed)}\n${pad(1)}${body}` : formatEntryHeader(parsed);
+};
+
+export const toText = (entries) => entries.map(formatEntry).join('\n\n') + '\n';
@@ -0,0 +1,319 @@
+/**
+ * Parsers for the free-form content that follows the header of a debug log
+ * line, e.g. `Account:{Id=001..., Name=Acme}` or `(Contact:{...}, Contact:{...})`.
+ *
+ * Every function returns a value node (see `./index.js` for the AST shape)
+ * and falls back to a `text` node instead of throwing on malformed input.
+ */
+import { parsePayload, looksLikeJson } from './payload.js';
+
+// True when `content` opens with `open` and the matching `close` is its last
+// character, e.g. `(a, (b))` but not `(a), (b)`.
+const isWrapped = (content, open, close) => {
+    if (!content.startsWith(open) || !content.endsWith(close)) return false;
+
+    let depth = 0;
+    let quoteChar = '';
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoteChar) {
+            if (char === quoteChar) quoteChar = '';
+        } else if (char === '"' || char === "'") {
+            quoteChar = char;
+        } else if (char === open) {
+            depth++;
+        } else if (char === close) {
+            depth--;
+            if (depth === 0) return i === content.length - 1;
+        }
+    }
+    return false;
+};
+
+export const parseContent = (content) => {
+    // Try to parse different types of content
+
+    // Handle JSON and XML bodies, e.g. System.debug(JSON.serialize(obj))
+    const payload = parsePayload(content);
+    if (payload) {
+        const { label, ...body } = payload;
+        return label ? { type: 'payload', ...body, label } : { type: 'payload', ...body };
+    }
+    // JSON cut off beyond repair would only be mangled by the Apex parsers below
+    if (looksLikeJson(content)) {
+        return { type: 'text', value: content };
+    }
+
+    // Handle Apex List dumps: (a, b, c)
+    if (isWrapped(content, '(', ')')) {
+        return parseListStructure(content);
+    }
+
+    // Handle Apex Map and Set dumps: {k1=v1, k2=v2} / {a, b}
+    if (isWrapped(content, '{', '}')) {
+        return parseMapOrSet(content);
+    }
+
+    // Handle `label: ` in front of a collection dump
+    const labelMatch = content.match(/^([^:(){}[\]=]+):\s+([({][\s\S]*)$/);
+    if (labelMatch && (isWrapped(labelMatch[2], '(', ')') || isWrapped(labelMatch[2], '{', '}'))) {
+        return { ...parseContent(labelMatch[2]), label: labelMatch[1].trim() };
+    }
+
+    // Handle bracketed system types: System.HttpRequest[Endpoint=..., Method=POST]
+    const bracketMatch = content.match(/^([\w.]+)(\[[\s\S]*\])$/);
+    if (bracketMatch && isWrapped(bracketMatch[2], '[', ']')) {
+        return parseComplexStructure(content);
+    }
+
+    // Handle object-like structures
+    if (content.includes(':[') || content.includes(':{')) {
+        return parseObjectStructure(content);
+    }
+
+    // Handle simple key-value pairs; a URL with a query string is not one.
+    if (/^[^/?&=]+=/.test(content) && !content.includes('(') && !content.includes('[')) {
+        return parseKeyValuePairs(content);
+    }
+
+    // Handle complex nested structures
+    if (content.includes('(') && content.includes(')')) {
+        return parseComplexStructure(content);
+    }
+
+    return { type: 'text', value: content };
+};
+
+export const parseObjectStructure = (content) => {
+    try {
+        const colonIndex = content.indexOf(':');
+        if (colonIndex === -1) return { type: 'text', value: content };
+
+        const objectName = content.substring(0, colonIndex).trim();
+        const objectContent = content.substring(colonIndex + 1).trim();
+
+        if (objectContent.startsWith('{') && objectContent.endsWith('}')) {
+            const innerContent = objectContent.slice(1, -1);
+            const fields = parseFields(innerContent);
+            return {
+                type: 'object',
+                name: objectName,
+                fields: fields
+            };
+        }
+
+        if (objectContent.startsWith('[') && objectContent.endsWith(']')) {
+            const innerContent = objectContent.slice(1, -1);
+            const items = parseArrayItems(innerContent);
+            return {
+                type: 'array',
+                name: objectName,
+                items: items
+            };
+        }
+
+        // `label: value` as printed by System.debug('label: ' + value)
+        const labelled = parseContent(objectContent);
+        if (labelled.type !== 'text') {
+            return { ...labelled, label: objectName };
+        }
+
+        return { type: 'text', value: content };
+    } catch (e) {
+        return { type: 'text', value: content };
+    }
+};
+
+// Handles both `Name(a=1, b=2)` and the `System.HttpRequest[a=1, b=2]` form
+// Apex uses for system types.
+export const parseComplexStructure = (content) => {
+    try {
+        const openIndex = content.search(/[([]/);
+        if (openIndex === -1) return { type: 'text', value: content };
+
+        const open = content[openIndex];
+        const close = open === '(' ? ')' : ']';
+        const name = content.substring(0, openIndex).trim();
+        const innerContent = content.substring(openIndex + 1);
+
+        // Find matching closing bracket
+        let depth = 0;
+        let endIndex = -1;
+        for (let i = 0; i < innerContent.length; i++) {
+            if (innerContent[i] === open) depth++;
+            else if (innerContent[i] === close) {
+                if (depth === 0) {
+                    endIndex = i;
+                    break;
+                }
+                depth--;
+            }
+        }
+
+        if (endIndex === -1) return { type: 'text', value: content };
+
+        const params = innerContent.substring(0, endIndex);
+        const fields = parseFields(params);
+
+        return {
+            type: 'complex',
+            name: name,
+            fields: fields
+        };
+    } catch (e) {
+        return { type: 'text', value: content };
+    }
+};
+
+export const parseFields = (content) => {
+    const fields = [];
+    let current = '';
+    let depth = 0;
+    let inQuotes = false;
+    let quoteChar = '';
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (!inQuotes && (char === '"' || char === "'")) {
+            inQuotes = true;
+            quoteChar = char;
+            current += char;
+        } else if (inQuotes && char === quoteChar) {
+            inQuotes = false;
+            current += char;
+        } else if (!inQuotes) {
+            if (char === '(' || char === '[' || char === '{') {
+                depth++;
+                current += char;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth--;
+                current += char;
+            } else if (char === ',' && depth === 0) {
+                if (current.trim()) {
+                    fields.push(parseField(current.trim()));
+                }
+                current = '';
+                continue;
+            } else {
+                current += char;
+            }
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim()) {
+        fields.push(parseField(current.trim()));
+    }
+
+    return fields;
+};
+
+export const parseField = (fieldContent) => {
+    const equalIndex = fieldContent.indexOf('=');
+    if (equalIndex === -1) {
+        return { type: 'value', content: fieldContent };
+    }
+
+    const key = fieldContent.substring(0, equalIndex).trim();
+    const value = fieldContent.substring(equalIndex + 1).trim();
+
+    return {
+        type: 'keyValue',
+        key: key,
+        value: parseContent(value)
+    };
+};
+
+export const parseArrayItems = (content) => {
+    if (!content.trim()) return [];
+
+    const items = [];
+    let current = '';
+    let depth = 0;
+    let inQuotes = false;
+    let quoteChar = '';
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (!inQuotes && (char === '"' || char === "'")) {
+            inQuotes = true;
+            quoteChar = char;
+            current += char;
+        } else if (inQuotes && char === quoteChar) {
+            inQuotes = false;
+            current += char;
+        } else if (!inQuotes) {
+            if (char === '(' || char === '[' || char === '{') {
+                depth++;
+                current += char;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth--;
+                current += char;
+            } else if (char === ',' && depth === 0) {
+                if (current.trim()) {
+                    items.push(parseContent(current.trim()));
+                }
+                current = '';
+                continue;
+            } else {
+                current += char;
+            }
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim()) {
+        items.push(parseContent(current.trim()));
+    }
+
+    return items;
+};
+
+export const parseKeyValuePairs = (content) => {
+    const pairs = content.split(',').map(pair => {
+        const equalIndex = pair.indexOf('=');
+        if (equalIndex === -1) return { type: 'value', content: pair.trim() };
+
+        const key = pair.substring(0, equalIndex).trim();
+        const value = pair.substring(equalIndex + 1).trim();
+
+        return {
+            type: 'keyValue',
+            key: key,
+            value: { type: 'text', value: value }
+        };
+    });
+
+    return {
+        type: 'keyValueList',
+        pairs: pairs
+    };
+};
+
+export const parseListStructure = (content) => ({
+    type: 'array',
+    name: '',
+    items: parseArrayItems(content.slice(1, -1))
+});
+
+// Apex prints Maps and Sets the same way; a Map is told apart by every
+// top-level element being a key=value pair.
+export const parseMapOrSet = (content) => {
+    const fields = parseFields(content.slice(1, -1));
+
+    if (fields.every(field => field.type === 'keyValue')) {
+        return {
+            type: 'map',
+            entries: fields.map(field => ({ key: field.key, value: field.value }))
+        };
+    }
+
+    return {
+        type: 'set',
+        items: parseArrayItems(content.slice(1, -1))
+    };
+};
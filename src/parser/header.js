@@ -0,0 +1,50 @@
+// Debug levels from least to most verbose.
+export const LOG_LEVELS = ['NONE', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'FINE', 'FINER', 'FINEST'];
+
+// "59.0 APEX_CODE,FINEST;APEX_PROFILING,INFO;CALLOUT,INFO;DB,INFO"
+const HEADER_PATTERN = /^(\d+\.\d+)\s+((?:[A-Z_]+,[A-Z]+;?)+)\s*$/;
+
+// "*** Skipped 1234 bytes of detailed log"
+const SKIPPED_PATTERN = /^\*+\s*Skipped\s+(\d+)\s+bytes of detailed log/i;
+
+// "*********** MAXIMUM DEBUG LOG SIZE REACHED ***********"
+const TRUNCATED_PATTERN = /MAXIMUM DEBUG LOG SIZE REACHED/;
+
+// Lines that stand on their own and must never be folded into the entry
+// above them.
+export const isMetaLine = (line) => (
+    HEADER_PATTERN.test(line) || SKIPPED_PATTERN.test(line) || TRUNCATED_PATTERN.test(line)
+);
+
+/**
+ * Parses a log header or truncation marker into a `meta` entry, or returns
+ * null for any other line.
+ *
+ *   { type: 'meta', kind: 'header', apiVersion, levels, content }
+ *   { type: 'meta', kind: 'skipped', bytes, content }
+ *   { type: 'meta', kind: 'truncated', content }
+ */
+export const parseMetaLine = (line) => {
+    const content = line.trim();
+
+    const header = content.match(HEADER_PATTERN);
+    if (header) {
+        const levels = {};
+        header[2].split(';').filter(Boolean).forEach(setting => {
+            const [category, level] = setting.split(',');
+            levels[category] = level;
+        });
+        return { type: 'meta', kind: 'header', apiVersion: header[1], levels, content, timestamp: null };
+    }
+
+    const skipped = content.match(SKIPPED_PATTERN);
+    if (skipped) {
+        return { type: 'meta', kind: 'skipped', bytes: Number(skipped[1]), content, timestamp: null };
+    }
+
+    if (TRUNCATED_PATTERN.test(content)) {
+        return { type: 'meta', kind: 'truncated', content, timestamp: null };
+    }
+
+    return null;
+};
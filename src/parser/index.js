@@ -0,0 +1,101 @@
+/**
+ * Framework-free Salesforce debug log parser.
+ *
+ * `parseLog(text)` returns one entry per log event. Continuation lines are
+ * folded into the preceding event, so `original` and `content` may span
+ * several lines. The log header and truncation markers become `meta`
+ * entries; other lines before the first event become `unparsed` entries.
+ *
+ *   entry        { id, original, parsed }
+ *   parsed       { type: 'parsed', timestamp, executionTime, logType,
+ *                  lineNumber, level, content, parsedContent }
+ *              | { type: 'meta', kind: 'header', apiVersion, levels, content }
+ *              | { type: 'meta', kind: 'skipped', bytes, content }
+ *              | { type: 'meta', kind: 'truncated', content }
+ *              | { type: 'unparsed', content, timestamp: null }
+ *
+ * `parsedContent` and every nested value is one of:
+ *
+ *   text         { type: 'text', value }
+ *   object       { type: 'object', name, fields }    Account:{Id=..., Name=...}
+ *   complex      { type: 'complex', name, fields }   Foo(a=1, b=2)
+ *                                                    System.HttpRequest[a=1]
+ *   array        { type: 'array', name, items }      accounts:[..., ...]
+ *                                                    (a, b)  (name is '')
+ *   map          { type: 'map', entries }            {k1=v1, k2=v2}
+ *   set          { type: 'set', items }              {a, b}
+ *   keyValueList { type: 'keyValueList', pairs }     a=1, b=2
+ *   payload      { type: 'payload', format, data, text, truncated }
+ *                                                    {"a": 1} or <a>1</a>
+ *   limitUsage   { type: 'limitUsage', namespace, limits }
+ *                                                    LIMIT_USAGE_FOR_NS only
+ *   profiling    { type: 'profiling', section, rows }
+ *                                                    CUMULATIVE_PROFILING only
+ *
+ * where `fields` / `pairs` hold `{ type: 'keyValue', key, value }` or
+ * `{ type: 'value', content }` and `items` holds value nodes. `limits` holds
+ * `{ name, used, max, closeToLimit }`, `rows` holds `{ location, line,
+ * column, statement, count, time }`, `entries` holds `{ key, value }`.
+ * A payload is `format: 'json'` with the decoded `data`, or `format: 'xml'`
+ * with re-indented `text`; `truncated` marks a body cut off at the log line
+ * limit of which only the complete part was kept.
+ *
+ * Structured nodes may also carry a `label` taken from a `label: value`
+ * prefix, as in `accounts: (Account:{...}, Account:{...})`.
+ *
+ * `inferValueType(text)` classifies the scalars inside `text` nodes (record
+ * Ids, dates, numbers, booleans, null).
+ */
+import { logPattern, parseLogEntry } from './logEntry.js';
+import { isMetaLine } from './header.js';
+
+export { logPattern, parseLogEntry, splitFields, eventLabel } from './logEntry.js';
+export {
+    parseContent,
+    parseObjectStructure,
+    parseComplexStructure,
+    parseFields,
+    parseField,
+    parseArrayItems,
+    parseKeyValuePairs,
+    parseListStructure,
+    parseMapOrSet
+} from './content.js';
+export { inferValueType, sObjectTypeForId, isRecordId } from './values.js';
+export { parseLimitUsage } from './limits.js';
+export { parseCumulativeProfiling } from './profiling.js';
+export { parsePayload, prettyXml } from './payload.js';
+export { LOG_LEVELS, parseMetaLine } from './header.js';
+
+// Lines that don't start with a timestamp header (multi-line strings, JSON
+// bodies, stack traces) belong to the entry above them.
+export const splitLogEntries = (text) => {
+    const groups = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (isMetaLine(line)) {
+            current = null;
+            groups.push([line]);
+        } else if (logPattern.test(line)) {
+            current = [line];
+            groups.push(current);
+        } else if (current) {
+            current.push(line);
+        } else if (line.trim()) {
+            groups.push([line]);
+        }
+    });
+
+    return groups.map(lines => lines.join('\n').trimEnd());
+};
+
+export const parseLog = (text) => {
+    if (!text || !text.trim()) return [];
+
+    return splitLogEntries(text).map((original, index) => ({
+        id: index,
+        original,
+        parsed: parseLogEntry(original)
+    }));
+};
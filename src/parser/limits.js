@@ -0,0 +1,24 @@
+// "  Number of SOQL queries: 87 out of 100 ******* CLOSE TO LIMIT"
+const LIMIT_LINE_PATTERN = /^\s*(.+?):\s*(\d+)\s+out of\s+(\d+)(.*)$/;
+
+/**
+ * Parses the body of a LIMIT_USAGE_FOR_NS block. The namespace arrives in the
+ * first pipe field (`(default)`), each following line holds one limit.
+ */
+export const parseLimitUsage = (namespace, content) => {
+    const limits = content.split('\n')
+        .map(line => line.match(LIMIT_LINE_PATTERN))
+        .filter(Boolean)
+        .map(([, name, used, max, rest]) => ({
+            name: name.trim(),
+            used: Number(used),
+            max: Number(max),
+            closeToLimit: rest.includes('CLOSE TO LIMIT')
+        }));
+
+    return {
+        type: 'limitUsage',
+        namespace: (namespace || '').replace(/^\((.*)\)$/, '$1') || 'default',
+        limits
+    };
+};
@@ -0,0 +1,74 @@
+import { parseContent } from './content.js';
+import { parseLimitUsage } from './limits.js';
+import { parseCumulativeProfiling } from './profiling.js';
+import { ID_PATTERN } from './values.js';
+import { parseMetaLine } from './header.js';
+
+// Standard Salesforce debug log line:
+// HH:mm:ss.SSS (nanoseconds)|EVENT_TYPE|[line]|LEVEL|content
+// The content group spans newlines so folded multi-line entries still match.
+// Events such as EXECUTION_STARTED carry no fields at all, and some such as
+// STATEMENT_EXECUTE nothing but the line number.
+export const logPattern = /^(\d{2}:\d{2}:\d{2}\.\d{3})\s+\((\d+)\)\|([^|\n]+?)(?:\|(?:\[(\d+)\](?:\||$))?(?:([^|\n]+)\|)?([\s\S]*))?$/;
+
+// Event types whose body has a line-based format of its own, parsed from the
+// first pipe field and the untrimmed content.
+const BODY_PARSERS = {
+    LIMIT_USAGE_FOR_NS: parseLimitUsage,
+    CUMULATIVE_PROFILING: parseCumulativeProfiling
+};
+
+// Heap address Salesforce appends to reference-type assignments, e.g.
+// VARIABLE_ASSIGNMENT|[12]|accounts|[{...}]|0x5a1b2c3d. It is dropped before
+// the value is parsed so a JSON or XML payload still ends where it should.
+const ADDRESS_SUFFIX = /\|\s*0x[0-9a-f]+\s*$/i;
+
+const stripAddress = (logType, content) => (
+    logType === 'VARIABLE_ASSIGNMENT' ? content.replace(ADDRESS_SUFFIX, '') : content
+);
+
+export const parseLogEntry = (logLine) => {
+    const match = logLine.match(logPattern);
+
+    if (!match) {
+        const meta = parseMetaLine(logLine);
+        if (meta) return meta;
+
+        return {
+            type: 'unparsed',
+            content: logLine,
+            timestamp: null
+        };
+    }
+
+    const [, timestamp, executionTime, logType, lineNumber, level, fields = ''] = match;
+    const content = stripAddress(logType, fields);
+
+    return {
+        type: 'parsed',
+        timestamp,
+        executionTime,
+        logType,
+        lineNumber,
+        level,
+        content: content.trim(),
+        parsedContent: BODY_PARSERS[logType]
+            ? BODY_PARSERS[logType](level, content)
+            : parseContent(content.trim())
+    };
+};
+
+// Pipe-separated fields after the event type and line number. The level group
+// of `logPattern` is really just the first of these for most event types.
+export const splitFields = (parsed) => [
+    ...(parsed.level ? [parsed.level] : []),
+    ...parsed.content.split('\n')[0].split('|')
+].map(field => field.trim()).filter(Boolean);
+
+// Short human label for an event: its fields without record Ids and
+// bracketed markers such as [EXTERNAL].
+export const eventLabel = (parsed) => {
+    const fields = splitFields(parsed)
+        .filter(field => !ID_PATTERN.test(field) && !/^\[.*\]$/.test(field));
+    return fields.length > 0 ? fields.join(' | ') : parsed.logType;
+};
@@ -0,0 +1,71 @@
+import { parseLog } from './index.js';
+import { redactLogs, applyRedaction } from '../analysis/redaction.js';
+
+// Posts one message to a fresh worker and resolves with `pick(data)` from its
+// `done` reply. Falls back to `fallback()` where workers are unavailable.
+const runInWorker = (message, { pick, fallback, onProgress }) => {
+    if (typeof Worker === 'undefined') {
+        return { promise: new Promise(resolve => resolve(fallback())), cancel: () => {} };
+    }
+
+    const worker = new Worker(new URL('./parseLog.worker.js', import.meta.url), { type: 'module' });
+    let rejectPromise = null;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectPromise = reject;
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                if (onProgress) onProgress({ done: data.done, total: data.total });
+                return;
+            }
+            worker.terminate();
+            resolve(pick(data));
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Failed to parse log'));
+        };
+
+        worker.postMessage(message);
+    });
+
+    const cancel = () => {
+        worker.terminate();
+        rejectPromise(new DOMException('Parsing cancelled', 'AbortError'));
+    };
+
+    return { promise, cancel };
+};
+
+/**
+ * Parses a log off the main thread. Returns `{ promise, cancel }`; `cancel`
+ * terminates the worker and rejects the promise with an AbortError.
+ * Falls back to the synchronous `parseLog` where workers are unavailable.
+ */
+export const parseLogInWorker = (text, { onProgress } = {}) => runInWorker({ text }, {
+    pick: (data) => data.entries,
+    fallback: () => parseLog(text),
+    onProgress
+});
+
+/**
+ * Redacts several parsed logs off the main thread with one redactor (see
+ * `redactLogs`). Resolves with `{ logs: [{ entries, summary }], tokens,
+ * errors }`, where each `entries` is the masked copy of the matching input.
+ */
+export const redactLogsInWorker = (logs, settings) => {
+    const lines = logs.map(entries => entries.map(entry => entry.original));
+    const merge = (run) => ({
+        ...run,
+        logs: run.logs.map(({ changes, summary }, index) => ({
+            entries: applyRedaction(logs[index], changes),
+            summary
+        }))
+    });
+
+    return runInWorker({ type: 'redact', logs: lines, settings }, {
+        pick: (data) => merge(data.run),
+        fallback: () => merge(redactLogs(lines, settings))
+    });
+};
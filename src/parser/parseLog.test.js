@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseLog } from './index.js';
+
+const fixture = (name) => parseLog(readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8'));
+
+const byType = (entries, logType) => entries.filter(entry => entry.parsed.logType === logType);
+
+test('anonymous Apex: header line', () => {
+    const [header] = fixture('anonymous-apex.log');
+
+    assert.equal(header.parsed.type, 'meta');
+    assert.equal(header.parsed.kind, 'header');
+    assert.equal(header.parsed.apiVersion, '59.0');
+    assert.equal(header.parsed.levels.APEX_CODE, 'FINEST');
+});
+
+test('anonymous Apex: echoed source lines stay unparsed', () => {
+    const entries = fixture('anonymous-apex.log');
+
+    assert.deepEqual(entries.slice(1, 3).map(entry => entry.parsed.type), ['unparsed', 'unparsed']);
+    assert.deepEqual(entries.map(entry => entry.id), entries.map((entry, index) => index));
+});
+
+test('anonymous Apex: SOQL begin fields', () => {
+    const [begin] = byType(fixture('anonymous-apex.log'), 'SOQL_EXECUTE_BEGIN');
+
+    assert.equal(begin.parsed.timestamp, '12:00:00.002');
+    assert.equal(begin.parsed.executionTime, '2200000');
+    assert.equal(begin.parsed.lineNumber, '1');
+    assert.equal(begin.parsed.level, 'Aggregations:0');
+    assert.equal(begin.parsed.content, 'SELECT Id, Name FROM Account LIMIT 2');
+});
+
+test('sObject dumps: objects, lists, key-value lists and constructors', () => {
+    const values = fixture('sobject-dumps.log').map(entry => entry.parsed.parsedContent);
+    const pairs = (fields) => fields.map(field => [field.key, field.value.value]);
+
+    assert.deepEqual(values.map(value => value.type), ['object', 'array', 'keyValueList', 'complex', 'text']);
+    assert.equal(values[0].name, 'Account');
+    assert.deepEqual(pairs(values[0].fields), [['Id', '001000000000001AAA'], ['Name', 'Acme'], ['Industry', 'Technology']]);
+    assert.equal(values[1].name, 'contacts');
+    assert.deepEqual(values[1].items.map(item => pairs(item.fields)), [
+        [['Id', '003000000000001AAA'], ['LastName', 'Doe']],
+        [['Id', '003000000000002AAA'], ['LastName', 'Roe']]
+    ]);
+    assert.deepEqual(pairs(values[2].pairs), [['Name', 'Acme'], ['Rating', 'Hot']]);
+    assert.equal(values[3].name, 'Wrapper');
+    assert.deepEqual(pairs(values[3].fields), [['total', '3'], ['label', 'open']]);
+    assert.equal(values[4].value, 'Just a plain message');
+});
+
+test('anonymous Apex: sObject lists become arrays of objects', () => {
+    const [list] = byType(fixture('anonymous-apex.log'), 'USER_DEBUG');
+    const value = list.parsed.parsedContent;
+
+    assert.equal(value.type, 'array');
+    assert.equal(value.items.length, 2);
+    assert.equal(value.items[0].type, 'object');
+    assert.equal(value.items[0].name, 'Account');
+    assert.deepEqual(
+        value.items[1].fields.map(field => [field.key, field.value.value]),
+        [['Id', '001000000000002AAA'], ['Name', 'Globex']]
+    );
+});
+
+test('anonymous Apex: continuation lines fold into the entry above', () => {
+    const [, message] = byType(fixture('anonymous-apex.log'), 'USER_DEBUG');
+
+    assert.equal(message.parsed.content, 'Processing finished\nsecond line of the message\nthird line of the message');
+    assert.equal(message.original.split('\n').length, 3);
+});
+
+test('anonymous Apex: heap addresses are dropped from assignments', () => {
+    const [assignment] = byType(fixture('anonymous-apex.log'), 'VARIABLE_ASSIGNMENT');
+    const value = assignment.parsed.parsedContent;
+
+    assert.equal(assignment.parsed.level, 'accounts');
+    assert.doesNotMatch(assignment.parsed.content, /0x5a1b2c3d/);
+    assert.equal(value.type, 'payload');
+    assert.equal(value.format, 'json');
+    assert.equal(value.truncated, false);
+    assert.equal(value.data.v[1].Name, 'Globex');
+});
+
+test('anonymous Apex: LIMIT_USAGE_FOR_NS block', () => {
+    const [usage] = byType(fixture('anonymous-apex.log'), 'LIMIT_USAGE_FOR_NS');
+    const value = usage.parsed.parsedContent;
+
+    assert.equal(value.type, 'limitUsage');
+    assert.equal(value.namespace, 'default');
+    assert.deepEqual(value.limits.find(limit => limit.name === 'Maximum CPU time'), {
+        name: 'Maximum CPU time',
+        used: 9,
+        max: 10000,
+        closeToLimit: false
+    });
+});
+
+test('exception: fatal error keeps its stack trace', () => {
+    const [fatal] = byType(fixture('exception.log'), 'FATAL_ERROR');
+
+    assert.equal(fatal.parsed.lineNumber, undefined);
+    assert.match(fatal.parsed.content, /^System\.NullPointerException: Attempt to de-reference a null object/);
+    assert.match(fatal.parsed.content, /Class\.AccountService\.validate: line 12, column 1\nTrigger\.AccountTrigger: line 4, column 1/);
+});
+
+test('exception: skipped and truncation markers stand on their own', () => {
+    const entries = fixture('exception.log');
+    const meta = entries.filter(entry => entry.parsed.type === 'meta');
+    const [fatal] = byType(entries, 'FATAL_ERROR');
+
+    assert.deepEqual(meta.map(entry => entry.parsed.kind), ['header', 'skipped', 'truncated']);
+    assert.equal(meta[1].parsed.bytes, 4096);
+    assert.doesNotMatch(fatal.parsed.content, /Skipped/);
+});
+
+test('exception: method signatures parse as complex values', () => {
+    const [entry] = byType(fixture('exception.log'), 'METHOD_ENTRY');
+
+    assert.equal(entry.parsed.level, '01p000000000001');
+    assert.equal(entry.parsed.parsedContent.type, 'complex');
+    assert.equal(entry.parsed.parsedContent.name, 'AccountService.validate');
+});
+
+test('callout: bracketed system types keep URLs intact', () => {
+    const [request] = byType(fixture('callout.log'), 'CALLOUT_REQUEST');
+    const value = request.parsed.parsedContent;
+
+    assert.equal(value.type, 'complex');
+    assert.equal(value.name, 'System.HttpRequest');
+    assert.deepEqual(
+        value.fields.map(field => [field.key, field.value.value]),
+        [['Endpoint', 'https://api.example.com/v1/orders?status=open'], ['Method', 'POST']]
+    );
+});
+
+test('callout: JSON and XML debug bodies become payloads', () => {
+    const [json, xml] = byType(fixture('callout.log'), 'USER_DEBUG').map(entry => entry.parsed.parsedContent);
+
+    assert.equal(json.type, 'payload');
+    assert.equal(json.format, 'json');
+    assert.equal(json.truncated, false);
+    assert.deepEqual(json.data, { orders: [{ id: 42, total: 19.99, open: true }], next: null });
+
+    assert.equal(xml.type, 'payload');
+    assert.equal(xml.format, 'xml');
+    assert.equal(xml.text, '<order id="42">\n  <total>19.99</total>\n</order>');
+});
+
+test('profiling: CUMULATIVE_PROFILING sections', () => {
+    const sections = byType(fixture('profiling.log'), 'CUMULATIVE_PROFILING').map(entry => entry.parsed.parsedContent);
+
+    assert.deepEqual(sections.map(section => [section.section, section.rows.length]), [
+        ['SOQL operations', 1],
+        ['SOSL operations', 0],
+        ['DML operations', 0],
+        ['method invocations', 2]
+    ]);
+    assert.deepEqual(sections[3].rows[1], {
+        location: 'Class.Foo.bar',
+        line: 1,
+        column: 1,
+        statement: 'public static void bar()',
+        count: 1,
+        time: 12
+    });
+    assert.equal(sections[3].rows[0].location, 'External entry point');
+});
@@ -0,0 +1,33 @@
+import { splitLogEntries } from './index.js';
+import { parseLogEntry } from './logEntry.js';
+import { redactLogs } from '../analysis/redaction.js';
+
+const PROGRESS_INTERVAL = 5000;
+
+const parse = (text) => {
+    const groups = splitLogEntries(text);
+    const total = groups.length;
+    const entries = new Array(total);
+
+    for (let index = 0; index < total; index++) {
+        entries[index] = {
+            id: index,
+            original: groups[index],
+            parsed: parseLogEntry(groups[index])
+        };
+
+        if (index % PROGRESS_INTERVAL === 0) {
+            self.postMessage({ type: 'progress', done: index, total });
+        }
+    }
+
+    self.postMessage({ type: 'done', entries });
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'redact') {
+        self.postMessage({ type: 'done', run: redactLogs(data.logs, data.settings) });
+        return;
+    }
+    parse(data.text || '');
+};
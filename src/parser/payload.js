@@ -0,0 +1,143 @@
+/**
+ * Detects JSON and XML payloads in free text, typically request or response
+ * bodies written out with System.debug.
+ *
+ *   payload { format: 'json', label, data, truncated }
+ *         | { format: 'xml', label, text, truncated }
+ *
+ * `label` is any `prefix: ` in front of the body, as in
+ * System.debug('Response: ' + res.getBody()). `truncated` is set when the
+ * body was cut off at the log line limit and only the part that survived is
+ * returned. Returns null for anything else.
+ */
+
+const PAYLOAD_PATTERN = /^(?:([^{[<\n]{0,80}?):\s*)?([{[<][\s\S]*)$/;
+
+// Apex Map and Set dumps also open with `{`, so JSON must start with a quoted
+// key or a JSON value inside an array.
+const JSON_START = /^(?:\{\s*"|\[\s*(?:["{[\d-]|true|false|null))/;
+
+// How many cut points to try, from the end, when repairing a truncated body.
+const MAX_REPAIR_ATTEMPTS = 25;
+
+export const looksLikeJson = (text) => JSON_START.test(text);
+
+const tryParse = (text) => {
+    try {
+        return { value: JSON.parse(text) };
+    } catch (e) {
+        return null;
+    }
+};
+
+// Cuts a truncated JSON document back to the last complete value and closes
+// whatever arrays and objects were still open. The member or item the cut
+// fell in is dropped, since there is no telling how much of it is missing.
+const repairJson = (text) => {
+    const stack = [];
+    const cuts = [];
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            // Only the outermost container survives a cut inside it, empty if
+            // nothing in it was complete.
+            if (stack.length === 0) cuts.push({ end: i + 1, closers: char === '{' ? '}' : ']' });
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+            cuts.push({ end: i + 1, closers: stack.slice().reverse().join('') });
+        } else if (char === ',') {
+            cuts.push({ end: i, closers: stack.slice().reverse().join('') });
+        }
+    }
+
+    for (let i = cuts.length - 1; i >= Math.max(0, cuts.length - MAX_REPAIR_ATTEMPTS); i--) {
+        const parsed = tryParse(text.substring(0, cuts[i].end) + cuts[i].closers);
+        if (parsed) return parsed.value;
+    }
+    return null;
+};
+
+const parseJson = (text) => {
+    if (!looksLikeJson(text)) return null;
+
+    const complete = tryParse(text);
+    if (complete) return { data: complete.value, truncated: false };
+
+    const repaired = repairJson(text);
+    return repaired !== null ? { data: repaired, truncated: true } : null;
+};
+
+// An XML body is complete when every element it opens is closed and it ends
+// on a tag.
+const isCompleteXml = (text) => {
+    if (!text.endsWith('>')) return false;
+
+    let depth = 0;
+    (text.match(/<[^>]*>/g) || []).forEach(tag => {
+        if (/^<[?!]/.test(tag) || tag.endsWith('/>')) return;
+        depth += tag.startsWith('</') ? -1 : 1;
+    });
+    return depth === 0;
+};
+
+// Re-indents XML by tag nesting. Text between tags stays on the line of the
+// element that holds it.
+export const prettyXml = (text) => {
+    const tokens = text.replace(/>\s+</g, '><').split(/(<[^>]+>)/).filter(token => token.trim());
+    const lines = [];
+    let depth = 0;
+
+    tokens.forEach((token, index) => {
+        const isTag = token.startsWith('<');
+        const isClosing = isTag && token.startsWith('</');
+        const isSelfContained = isTag && (/\/>$/.test(token) || /^<[?!]/.test(token));
+
+        if (!isTag) {
+            lines[lines.length - 1] += token.trim();
+            return;
+        }
+        if (isClosing) {
+            depth = Math.max(0, depth - 1);
+            // Close `<a>text</a>` on the same line it opened.
+            const previous = tokens[index - 1];
+            if (previous && !previous.startsWith('<') && lines.length > 0) {
+                lines[lines.length - 1] += token;
+                return;
+            }
+        }
+
+        lines.push(`${'  '.repeat(depth)}${token}`);
+        if (!isClosing && !isSelfContained) depth++;
+    });
+
+    return lines.join('\n');
+};
+
+export const parsePayload = (text) => {
+    if (!text) return null;
+
+    const match = text.trim().match(PAYLOAD_PATTERN);
+    if (!match) return null;
+
+    const [, label = null, body] = match;
+    const trimmed = body.trim();
+
+    const json = parseJson(trimmed);
+    if (json) return { format: 'json', label, ...json };
+
+    if (/^<(?:\?xml|[\w:.-]+[\s>/])/.test(trimmed) && trimmed.includes('</')) {
+        return { format: 'xml', label, text: prettyXml(trimmed), truncated: !isCompleteXml(trimmed) };
+    }
+
+    return null;
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePayload } from './payload.js';
+
+test('complete JSON with a label', () => {
+    assert.deepEqual(parsePayload('Response: {"id": 1, "tags": ["a", "b"]}'), {
+        format: 'json',
+        label: 'Response',
+        data: { id: 1, tags: ['a', 'b'] },
+        truncated: false
+    });
+});
+
+test('Apex map dumps are not JSON', () => {
+    assert.equal(parsePayload('{a=1, b=2}'), null);
+});
+
+test('truncated JSON drops the member the cut fell in', () => {
+    assert.deepEqual(parsePayload('{"a": "b'), { format: 'json', label: null, data: {}, truncated: true });
+    assert.deepEqual(parsePayload('{"a": 1, "b": "partial'), { format: 'json', label: null, data: { a: 1 }, truncated: true });
+    assert.deepEqual(parsePayload('{"a": 1, "b": {"c": 2').data, { a: 1 });
+    assert.deepEqual(parsePayload('[{"a": 1}, {"a": 2}, {"a"').data, [{ a: 1 }, { a: 2 }]);
+});
+
+test('XML is truncated unless every element it opens is closed', () => {
+    assert.equal(parsePayload('<a><b>x</b></a>').truncated, false);
+    assert.equal(parsePayload('<?xml version="1.0"?><a><b/><c>x</c></a>').truncated, false);
+    assert.equal(parsePayload('<a><b>x</b>').truncated, true);
+    assert.equal(parsePayload('<a><b>x</b></a><c>y</c').truncated, true);
+});
+
+test('XML is re-indented by nesting', () => {
+    assert.equal(parsePayload('Body: <a><b>x</b><c/></a>').text, '<a>\n  <b>x</b>\n  <c/>\n</a>');
+});
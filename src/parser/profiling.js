@@ -0,0 +1,45 @@
+// "Class.Foo.bar: line 12, column 1: public static void bar(): executed 3 times in 12 ms"
+const ROW_PATTERN = /^\s*(.+?): executed (\d+) times? in (\d+(?:\.\d+)?) ms\s*$/;
+const LOCATION_PATTERN = /^([\w.$<>]+): line (\d+), column (\d+): ([\s\S]*)$/;
+const EXTERNAL_PATTERN = /^(External entry point): ([\s\S]*)$/;
+const EMPTY_SECTION_PATTERN = /^No profiling information for (.+)$/;
+
+const parseRow = (line) => {
+    const match = line.match(ROW_PATTERN);
+    if (!match) return null;
+
+    const [, head, count, time] = match;
+    const located = head.match(LOCATION_PATTERN);
+    const external = !located && head.match(EXTERNAL_PATTERN);
+
+    return {
+        location: located ? located[1] : external ? external[1] : null,
+        line: located ? Number(located[2]) : null,
+        column: located ? Number(located[3]) : null,
+        statement: (located ? located[4] : external ? external[2] : head).trim(),
+        count: Number(count),
+        time: Number(time)
+    };
+};
+
+/**
+ * Parses one CUMULATIVE_PROFILING section. The section name (`SOQL
+ * operations`, `method invocations`, ...) arrives in the first pipe field and
+ * each following line holds one row; sections with nothing to report are a
+ * single "No profiling information for ..." field instead.
+ *
+ *   { type: 'profiling', section, rows: [{ location, line, column,
+ *     statement, count, time }] }
+ *
+ * `time` is in milliseconds as logged; `location` is e.g. `Class.Foo.bar`
+ * or `External entry point`.
+ */
+export const parseCumulativeProfiling = (section, content) => {
+    const empty = !section && content.trim().match(EMPTY_SECTION_PATTERN);
+
+    return {
+        type: 'profiling',
+        section: (empty ? empty[1] : section || content.split('\n')[0]).trim(),
+        rows: empty ? [] : content.split('\n').map(parseRow).filter(Boolean)
+    };
+};
@@ -0,0 +1,72 @@
+// 15- or 18-character record Id shape.
+export const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// Key prefixes of the standard objects that show up most in debug output.
+export const KEY_PREFIXES = {
+    '001': 'Account',
+    '002': 'Note',
+    '003': 'Contact',
+    '005': 'User',
+    '006': 'Opportunity',
+    '00D': 'Organization',
+    '00E': 'UserRole',
+    '00G': 'Group',
+    '00P': 'Attachment',
+    '00Q': 'Lead',
+    '00T': 'Task',
+    '00U': 'Event',
+    '00e': 'Profile',
+    '00k': 'OpportunityLineItem',
+    '00v': 'CampaignMember',
+    '012': 'RecordType',
+    '015': 'Document',
+    '01p': 'ApexClass',
+    '01q': 'ApexTrigger',
+    '01s': 'Pricebook2',
+    '01t': 'Product2',
+    '01u': 'PricebookEntry',
+    '02i': 'Asset',
+    '068': 'ContentVersion',
+    '069': 'ContentDocument',
+    '06A': 'ContentDocumentLink',
+    '0PS': 'PermissionSet',
+    '0Q0': 'Quote',
+    '500': 'Case',
+    '701': 'Campaign',
+    '707': 'AsyncApexJob',
+    '800': 'Contract',
+    '801': 'Order',
+    '802': 'OrderItem'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+export const sObjectTypeForId = (id) => {
+    const prefix = id.substring(0, 3);
+    if (KEY_PREFIXES[prefix]) return KEY_PREFIXES[prefix];
+    if (/^a[0-9A-Za-z]{2}$/.test(prefix)) return 'Custom object';
+    return null;
+};
+
+// The sixth character of a record Id is reserved and always 0, which keeps
+// ordinary 15/18-character words from being taken for Ids.
+export const isRecordId = (text) => ID_PATTERN.test(text) && /\d/.test(text) && text[5] === '0';
+
+/**
+ * Classifies a scalar from an Apex dump. Returns `{ kind }` where kind is
+ * one of 'null', 'boolean', 'number', 'date', 'datetime', 'id', 'string',
+ * plus `sObjectType` for ids.
+ */
+export const inferValueType = (text) => {
+    const value = String(text).trim();
+
+    if (value === 'null') return { kind: 'null' };
+    if (value === 'true' || value === 'false') return { kind: 'boolean' };
+    if (NUMBER_PATTERN.test(value)) return { kind: 'number' };
+    if (DATE_PATTERN.test(value)) return { kind: 'date' };
+    if (DATETIME_PATTERN.test(value)) return { kind: 'datetime' };
+    if (isRecordId(value)) return { kind: 'id', sObjectType: sObjectTypeForId(value) };
+    return { kind: 'string' };
+};
@@ -0,0 +1,7 @@
+export const formatNanos = (nanos) => {
+    if (nanos === null || nanos === undefined) return '—';
+    if (nanos >= 1e9) return `${(nanos / 1e9).toFixed(2)} s`;
+    if (nanos >= 1e6) return `${(nanos / 1e6).toFixed(2)} ms`;
+    if (nanos >= 1e3) return `${(nanos / 1e3).toFixed(1)} µs`;
+    return `${nanos} ns`;
+};
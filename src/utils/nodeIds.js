@@ -0,0 +1,164 @@
+// Expand-state ids for rendered value nodes. The renderer and anything that
+// opens nodes programmatically (search, navigation) must agree on them.
+// Ids follow the node's position only, never its content, so two fields of
+// the same name never share one and every id is safe as a DOM id and in a
+// URL hash (`#log-12-content-obj-field-3-value`).
+
+export const entryNodeId = (entryId) => `log-${entryId}`;
+
+export const contentNodeId = (entryId) => `log-${entryId}-content`;
+
+export const valueNodeId = (value, parentId) => {
+    switch (value.type) {
+        case 'object':
+            return `${parentId}-obj`;
+        case 'complex':
+            return `${parentId}-complex`;
+        case 'array':
+            return `${parentId}-array`;
+        case 'keyValueList':
+            return `${parentId}-kvlist`;
+        case 'map':
+            return `${parentId}-map`;
+        case 'set':
+            return `${parentId}-set`;
+        case 'payload':
+            return `${parentId}-payload`;
+        default:
+            return null;
+    }
+};
+
+export const childNodeId = (containerId, container, index) => {
+    if (container.type === 'array' || container.type === 'set') return `${containerId}-item-${index}`;
+    if (container.type === 'map') return `${containerId}-entry-${index}`;
+    if (container.type === 'keyValueList') return `${containerId}-pair-${index}`;
+    return `${containerId}-field-${index}`;
+};
+
+export const fieldValueNodeId = (fieldId) => `${fieldId}-value`;
+
+// JSON inside a payload is plain data rather than parsed values; its objects
+// and arrays get ids the way parsed objects and lists do, and scalars none.
+const jsonShape = (value) => ({ type: Array.isArray(value) ? 'array' : 'object' });
+
+export const jsonNodeId = (value, parentId) => (
+    value !== null && typeof value === 'object' ? valueNodeId(jsonShape(value), parentId) : null
+);
+
+export const jsonChildNodeId = (containerId, container, index) => (
+    Array.isArray(container)
+        ? childNodeId(containerId, jsonShape(container), index)
+        : fieldValueNodeId(childNodeId(containerId, jsonShape(container), index))
+);
+
+// Children of a JSON object or array as [key, value] pairs, in id order.
+export const jsonChildren = (value) => (
+    Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value)
+);
+
+/**
+ * The collapsible JSON nodes inside a payload, in render order, as
+ * `{ id, parentId, depth }` with the JSON root one level below `depth`.
+ * XML payloads have none.
+ */
+export const collectPayloadNodes = (payload, payloadId, depth = 0) => {
+    const nodes = [];
+    const visit = (value, parentId, parentNodeId, nodeDepth) => {
+        const id = jsonNodeId(value, parentId);
+        if (!id) return;
+        nodes.push({ id, parentId: parentNodeId, depth: nodeDepth });
+        jsonChildren(value).forEach(([, child], index) => visit(child, jsonChildNodeId(id, value, index), id, nodeDepth + 1));
+    };
+    if (payload.format === 'json') visit(payload.data, payloadId, payloadId, depth + 1);
+    return nodes;
+};
+
+export const payloadBodyIds = (payload, payloadId) => collectPayloadNodes(payload, payloadId).map(node => node.id);
+
+// A list of two or more sObjects of the same type reads best as a grid.
+export const isRecordList = (value) => (
+    value.type === 'array'
+    && value.items.length > 1
+    && value.items.every(item => item.type === 'object' && item.name === value.items[0].name)
+);
+
+// The entry a node id belongs to, or null for ids outside the entry list.
+export const entryIdForNode = (nodeId) => {
+    const match = /^log-(\d+)(?:-|$)/.exec(nodeId);
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Every collapsible node of an entry in render order, starting with its
+ * content node.
+ *
+ *   node { id, parentId, depth }
+ *
+ * `depth` is 0 for the content node and grows by one per nested node.
+ * Records shown as a grid have no header of their own, so their fields'
+ * values hang off the list.
+ */
+export const collectEntryNodes = (entry) => {
+    const { parsed } = entry;
+    if (parsed.type !== 'parsed') return [];
+
+    const contentId = contentNodeId(entry.id);
+    const nodes = [{ id: contentId, parentId: null, depth: 0 }];
+
+    const visit = (value, parentId, parentNodeId, depth) => {
+        const id = value && valueNodeId(value, parentId);
+        if (!id) return;
+        nodes.push({ id, parentId: parentNodeId, depth });
+
+        switch (value.type) {
+            case 'object':
+            case 'complex':
+            case 'keyValueList':
+                (value.fields || value.pairs).forEach((field, index) => {
+                    if (field.type === 'keyValue') {
+                        visit(field.value, fieldValueNodeId(childNodeId(id, value, index)), id, depth + 1);
+                    }
+                });
+                break;
+            case 'array':
+                if (isRecordList(value)) {
+                    value.items.forEach((record, index) => {
+                        const recordId = valueNodeId(record, childNodeId(id, value, index));
+                        record.fields.forEach((field, fieldIndex) => {
+                            if (field.type === 'keyValue') {
+                                visit(field.value, fieldValueNodeId(childNodeId(recordId, record, fieldIndex)), id, depth + 1);
+                            }
+                        });
+                    });
+                    break;
+                }
+                value.items.forEach((item, index) => visit(item, childNodeId(id, value, index), id, depth + 1));
+                break;
+            case 'set':
+                value.items.forEach((item, index) => visit(item, childNodeId(id, value, index), id, depth + 1));
+                break;
+            case 'map':
+                value.entries.forEach((entry, index) => visit(entry.value, childNodeId(id, value, index), id, depth + 1));
+                break;
+            case 'payload':
+                nodes.push(...collectPayloadNodes(value, id, depth));
+                break;
+            default:
+                break;
+        }
+    };
+    visit(parsed.parsedContent, contentId, contentId, 1);
+
+    return nodes;
+};
+
+// The nodes currently on screen: those whose ancestors are all expanded.
+export const visibleEntryNodes = (entry, expandedItems) => {
+    const shown = new Set();
+    return collectEntryNodes(entry).filter(node => {
+        const visible = node.parentId === null || (shown.has(node.parentId) && expandedItems.has(node.parentId));
+        if (visible) shown.add(node.id);
+        return visible;
+    });
+};
@@ -0,0 +1,92 @@
+/**
+ * Plain-JSON snapshot of the workspace, used for autosave, the session
+ * history and session files.
+ *
+ *   session { version, name, notes, savedAt, activeTabId, view, filters,
+ *             redaction, tabs: [{ id, name, inputLog, expandedItems,
+ *             bookmarks }] }
+ *
+ * Parsed entries are not stored; they are rebuilt from `inputLog`, which
+ * keeps entry ids, and so expand state and bookmarks, stable.
+ */
+
+// 2: node ids follow position only (see nodeIds.js) and JSON payload nodes
+// open like any other node.
+export const SESSION_VERSION = 2;
+
+export const SESSION_FILE_EXTENSION = '.sfdf.json';
+
+export const serializeSession = ({ tabs, activeTabId, view, filters, redaction }, { name = '', notes = '' } = {}) => ({
+    version: SESSION_VERSION,
+    name,
+    notes,
+    savedAt: new Date().toISOString(),
+    activeTabId,
+    view,
+    filters: {
+        ...filters,
+        logTypes: Array.from(filters.logTypes),
+        levels: Array.from(filters.levels)
+    },
+    redaction: {
+        enabled: redaction.enabled,
+        rules: Array.from(redaction.rules),
+        custom: redaction.custom
+    },
+    tabs: tabs.map(tab => ({
+        id: tab.id,
+        name: tab.name,
+        inputLog: tab.inputLog,
+        expandedItems: Array.from(tab.expandedItems),
+        bookmarks: Array.from(tab.bookmarks)
+    }))
+});
+
+// Version 1 ids named objects, system types and lists after their type, as
+// in `-obj-Account-field-0`, up to the next child segment.
+const V1_NAMED_SEGMENT = /-(obj|complex|array)-.*?(?=-(?:field|item)-\d+(?:-|$)|$)/g;
+
+// Version 1 JSON payload nodes were open unless marked collapsed, under ids
+// keyed by their JSON keys; that state has no equivalent now.
+const V1_PAYLOAD_COLLAPSED = /(?:-payload|^callout-\d+-(?:request|response))(?:-.*)?-collapsed$/;
+
+const migrateExpandedItems = (ids, version) => {
+    if (version >= 2) return ids;
+    return ids
+        .filter(id => !V1_PAYLOAD_COLLAPSED.test(id))
+        .map(id => (id.startsWith('log-') ? id.replace(V1_NAMED_SEGMENT, '-$1') : id));
+};
+
+// Throws when `data` is not a session this version can read.
+export const deserializeSession = (data) => {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.tabs)) {
+        throw new Error('Not a debug log session file');
+    }
+    if (data.version > SESSION_VERSION) {
+        throw new Error(`Session was saved by a newer version (${data.version})`);
+    }
+
+    return {
+        name: data.name || '',
+        notes: data.notes || '',
+        activeTabId: data.activeTabId,
+        view: data.view || 'entries',
+        filters: data.filters && {
+            ...data.filters,
+            logTypes: new Set(data.filters.logTypes || []),
+            levels: new Set(data.filters.levels || [])
+        },
+        redaction: data.redaction && {
+            enabled: Boolean(data.redaction.enabled),
+            rules: new Set(data.redaction.rules || []),
+            custom: data.redaction.custom || []
+        },
+        tabs: data.tabs.map(tab => ({
+            id: tab.id,
+            name: tab.name,
+            inputLog: tab.inputLog || '',
+            expandedItems: new Set(migrateExpandedItems(tab.expandedItems || [], data.version || 1)),
+            bookmarks: new Set(tab.bookmarks || [])
+        }))
+    };
+};
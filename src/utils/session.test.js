@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deserializeSession, serializeSession, SESSION_VERSION } from './session.js';
+
+const sessionWith = (version, expandedItems) => ({
+    version,
+    tabs: [{ id: 0, name: 'Pasted log', inputLog: '', expandedItems, bookmarks: [] }]
+});
+
+test('version 1 expand state is moved to position-based ids', () => {
+    const session = deserializeSession(sessionWith(1, [
+        'log-3-content',
+        'log-3-content-obj-Account',
+        'log-3-content-array-undefined',
+        'log-3-content-array-List<Account>-item-1-obj-Account-field-2-value-complex-Foo.Bar',
+        'log-5-content-payload-orders-0-collapsed',
+        'callout-1-request-collapsed',
+        'save-order-lane-Account-collapsed'
+    ]));
+
+    assert.deepEqual(Array.from(session.tabs[0].expandedItems), [
+        'log-3-content',
+        'log-3-content-obj',
+        'log-3-content-array',
+        'log-3-content-array-item-1-obj-field-2-value-complex',
+        'save-order-lane-Account-collapsed'
+    ]);
+});
+
+test('current sessions round-trip unchanged', () => {
+    const expandedItems = new Set(['log-3-content-obj-field-0-value-array', 'callout-1']);
+    const saved = serializeSession({
+        tabs: [{ id: 0, name: 'Pasted log', inputLog: '', expandedItems, bookmarks: new Set([3]) }],
+        activeTabId: 0,
+        view: 'entries',
+        filters: { logTypes: new Set(), levels: new Set() },
+        redaction: { enabled: false, rules: new Set(), custom: [] }
+    });
+
+    assert.equal(saved.version, SESSION_VERSION);
+    assert.deepEqual(deserializeSession(saved).tabs[0].expandedItems, expandedItems);
+});
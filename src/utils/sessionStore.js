@@ -0,0 +1,98 @@
+/**
+ * IndexedDB storage for serialized sessions (see `./session.js`). Logs are
+ * routinely several megabytes, beyond what localStorage accepts.
+ *
+ * `history` holds the small record listed in the UI and `sessions` the full
+ * snapshot under the same id, so listing never reads the logs themselves.
+ *
+ *   record { id, name, notes, savedAt, tabCount, size }
+ */
+
+const DB_NAME = 'salesforce-debug-formatter';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const HISTORY = 'history';
+
+// The workspace as it was when the page was left, restored on the next visit.
+export const AUTOSAVE_ID = 'autosave';
+
+let databasePromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!databasePromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SESSIONS, { keyPath: 'id' });
+            request.result.createObjectStore(HISTORY, { keyPath: 'id' });
+        };
+        databasePromise = promisify(request);
+    }
+    return databasePromise;
+};
+
+const transaction = async (mode) => {
+    const database = await openDatabase();
+    const tx = database.transaction([SESSIONS, HISTORY], mode);
+    return {
+        sessions: tx.objectStore(SESSIONS),
+        history: tx.objectStore(HISTORY),
+        done: new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        })
+    };
+};
+
+const toRecord = (id, session) => ({
+    id,
+    name: session.name,
+    notes: session.notes,
+    savedAt: session.savedAt,
+    tabCount: session.tabs.length,
+    size: session.tabs.reduce((sum, tab) => sum + tab.inputLog.length, 0)
+});
+
+export const saveSession = async (id, session) => {
+    const { sessions, history, done } = await transaction('readwrite');
+    sessions.put({ ...session, id });
+    history.put(toRecord(id, session));
+    await done;
+};
+
+export const loadSession = async (id) => {
+    const { sessions } = await transaction('readonly');
+    return (await promisify(sessions.get(id))) || null;
+};
+
+// Named sessions, newest first. The autosave slot is not part of the history.
+export const listSessions = async () => {
+    const { history } = await transaction('readonly');
+    const records = await promisify(history.getAll());
+    return records
+        .filter(record => record.id !== AUTOSAVE_ID)
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+export const updateSessionDetails = async (id, { name, notes }) => {
+    const { sessions, history, done } = await transaction('readwrite');
+    const [session, record] = await Promise.all([
+        promisify(sessions.get(id)),
+        promisify(history.get(id))
+    ]);
+    if (session) sessions.put({ ...session, name, notes });
+    if (record) history.put({ ...record, name, notes });
+    await done;
+};
+
+export const deleteSession = async (id) => {
+    const { sessions, history, done } = await transaction('readwrite');
+    sessions.delete(id);
+    history.delete(id);
+    await done;
+};